@@ -0,0 +1,240 @@
+/* eslint-disable no-bitwise */
+import crypto from 'crypto';
+import { Transform } from 'stream';
+
+// WinZip AES encryption. see https://www.winzip.com/en/support/aes-encryption/
+const AES_KEY_LENGTH = 32;
+const AES_SALT_LENGTH = 16;
+const AES_PASSWORD_VERIFIER_LENGTH = 2;
+const AES_AUTHENTICATION_CODE_LENGTH = 10;
+const AES_BLOCK_SIZE = 16;
+// 3 = 256-bit key
+const AES_STRENGTH = 3;
+
+const ZIP_CRYPTO_HEADER_LENGTH = 12;
+
+export const AES_COMPRESSION_METHOD = 99;
+
+export function getEncryption(options) {
+	if (options.password == null) {
+		return null;
+	}
+
+	const password = typeof options.password === 'string'
+		? Buffer.from(options.password, 'utf-8')
+		: options.password;
+
+	const method = options.encryption ?? 'aes-256';
+
+	if (method === 'zipcrypto') {
+		return { method, password };
+	}
+
+	if (method !== 'aes-256') {
+		throw new Error(`unsupported encryption: ${method}`);
+	}
+
+	// AE-2 doesn't store the crc, which would otherwise leak information about the data
+	const aesVersion = options.aesVersion ?? 2;
+
+	if (aesVersion !== 1 && aesVersion !== 2) {
+		throw new Error(`invalid aesVersion: ${aesVersion}`);
+	}
+
+	return { method, password, aesVersion };
+}
+
+// number of bytes encryption adds to the compressed data
+export function getEncryptionOverhead(encryption) {
+	if (encryption.method === 'zipcrypto') {
+		return ZIP_CRYPTO_HEADER_LENGTH;
+	}
+
+	return AES_SALT_LENGTH + AES_PASSWORD_VERIFIER_LENGTH + AES_AUTHENTICATION_CODE_LENGTH;
+}
+
+// AES extra data field, which also has the actual compression method
+export function getAesExtraFieldData(encryption, compressionMethod) {
+	const data = Buffer.allocUnsafe(7);
+	// Version number          2 bytes    AE-1 or AE-2
+	data.writeUInt16LE(encryption.aesVersion, 0);
+	// 2-character vendor ID   2 bytes    "AE"
+	data.write('AE', 2, 'ascii');
+	// Integer mode value      1 byte     encryption strength
+	data.writeUInt8(AES_STRENGTH, 4);
+	// Compression method      2 bytes    actual compression method
+	data.writeUInt16LE(compressionMethod, 5);
+
+	return data;
+}
+
+// checkByte is used by traditional encryption to verify the password. it's the high byte of the crc
+// or, if the crc isn't known in advance, the high byte of the modification time.
+export function createEncryptionStream(encryption, checkByte) {
+	const encryptorPromise = createEncryptor(encryption, checkByte);
+	let headerWritten = false;
+
+	encryptorPromise.catch(() => {});
+
+	return new Transform({
+		transform(chunk, encoding, cb) {
+			encryptorPromise.then(encryptor => {
+				if (!headerWritten) {
+					headerWritten = true;
+					this.push(encryptor.header);
+				}
+
+				cb(null, encryptor.update(chunk));
+			}, cb);
+		},
+		flush(cb) {
+			encryptorPromise.then(encryptor => {
+				if (!headerWritten) {
+					headerWritten = true;
+					this.push(encryptor.header);
+				}
+
+				cb(null, encryptor.final());
+			}, cb);
+		}
+	});
+}
+
+export async function encryptBuffer(encryption, checkByte, buffer) {
+	const encryptor = await createEncryptor(encryption, checkByte);
+
+	return Buffer.concat([encryptor.header, encryptor.update(buffer), encryptor.final()]);
+}
+
+function createEncryptor(encryption, checkByte) {
+	return encryption.method === 'zipcrypto'
+		? createZipCryptoEncryptor(encryption.password, checkByte)
+		: createAesEncryptor(encryption.password);
+}
+
+async function createAesEncryptor(password) {
+	const salt = crypto.randomBytes(AES_SALT_LENGTH);
+
+	const derivedKey = await new Promise((resolve, reject) => {
+		crypto.pbkdf2(
+			password,
+			salt,
+			1000,
+			2 * AES_KEY_LENGTH + AES_PASSWORD_VERIFIER_LENGTH,
+			'sha1',
+			(e, key) => {
+				if (e) {
+					reject(e);
+
+					return;
+				}
+
+				resolve(key);
+			}
+		);
+	});
+
+	const encryptionKey = derivedKey.subarray(0, AES_KEY_LENGTH);
+	const authenticationKey = derivedKey.subarray(AES_KEY_LENGTH, 2 * AES_KEY_LENGTH);
+	const passwordVerifier = derivedKey.subarray(2 * AES_KEY_LENGTH);
+
+	// WinZip uses CTR mode with a little-endian counter starting from 1, which isn't what OpenSSL's
+	// CTR mode does, so the key stream is made by encrypting the counter blocks in ECB mode
+	const cipher = crypto.createCipheriv('aes-256-ecb', encryptionKey, null);
+	cipher.setAutoPadding(false);
+
+	const hmac = crypto.createHmac('sha1', authenticationKey);
+	let counter = 0;
+	let keyStream = Buffer.alloc(0);
+
+	return {
+		header: Buffer.concat([salt, passwordVerifier]),
+		update(chunk) {
+			if (keyStream.length < chunk.length) {
+				const blocks = Math.ceil((chunk.length - keyStream.length) / AES_BLOCK_SIZE);
+				const counterBlocks = Buffer.alloc(blocks * AES_BLOCK_SIZE);
+
+				for (let i = 0; i < blocks; i++) {
+					counter++;
+					counterBlocks.writeUInt32LE(counter % 0x100000000, i * AES_BLOCK_SIZE);
+					counterBlocks.writeUInt32LE(Math.floor(counter / 0x100000000), i * AES_BLOCK_SIZE + 4);
+				}
+
+				keyStream = Buffer.concat([keyStream, cipher.update(counterBlocks)]);
+			}
+
+			const encrypted = Buffer.allocUnsafe(chunk.length);
+
+			for (let i = 0; i < chunk.length; i++) {
+				encrypted[i] = chunk[i] ^ keyStream[i];
+			}
+
+			keyStream = keyStream.subarray(chunk.length);
+			hmac.update(encrypted);
+
+			return encrypted;
+		},
+		final() {
+			return hmac.digest().subarray(0, AES_AUTHENTICATION_CODE_LENGTH);
+		}
+	};
+}
+
+// traditional PKWARE encryption. it's weak and should only be used for readers that don't support
+// anything else.
+async function createZipCryptoEncryptor(password, checkByte) {
+	const keys = [0x12345678, 0x23456789, 0x34567890];
+
+	for (let i = 0; i < password.length; i++) {
+		updateKeys(keys, password[i]);
+	}
+
+	const encrypt = chunk => {
+		const encrypted = Buffer.allocUnsafe(chunk.length);
+
+		for (let i = 0; i < chunk.length; i++) {
+			const temp = (keys[2] | 2) & 0xffff;
+
+			encrypted[i] = chunk[i] ^ (((temp * (temp ^ 1)) >>> 8) & 0xff);
+			updateKeys(keys, chunk[i]);
+		}
+
+		return encrypted;
+	};
+
+	const header = crypto.randomBytes(ZIP_CRYPTO_HEADER_LENGTH);
+	header[ZIP_CRYPTO_HEADER_LENGTH - 1] = checkByte;
+
+	return {
+		header: encrypt(header),
+		update: encrypt,
+		final: () => Buffer.alloc(0)
+	};
+}
+
+function updateKeys(keys, byte) {
+	keys[0] = crc32Update(keys[0], byte);
+	keys[1] = (Math.imul(keys[1] + (keys[0] & 0xff), 134775813) + 1) >>> 0;
+	keys[2] = crc32Update(keys[2], keys[1] >>> 24);
+}
+
+let crc32Table = null;
+
+function crc32Update(crc, byte) {
+	if (crc32Table == null) {
+		// cache this once
+		crc32Table = new Uint32Array(256);
+
+		for (let i = 0; i < 256; i++) {
+			let c = i;
+
+			for (let j = 0; j < 8; j++) {
+				c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+			}
+
+			crc32Table[i] = c >>> 0;
+		}
+	}
+
+	return (crc32Table[(crc ^ byte) & 0xff] ^ (crc >>> 8)) >>> 0;
+}
@@ -1,15 +1,36 @@
 import LowLevelZipFile from './lowlevel.js';
+import getProfile from './profiles.js';
 
 export default class ZipFile extends LowLevelZipFile {
-	constructor() {
-		super();
+	constructor(options = {}) {
+		super(options);
 		this.entries = [];
+		this.removedEntries = [];
+		// what happens to an entry with the same name as an earlier one: 'error', 'skip', 'replace'
+		// (the earlier one) or 'rename'. names are compared like on case-insensitive file systems.
+		this.onDuplicate = options.onDuplicate ?? 'error';
+		this.entriesByName = new Map();
+
+		if (!['error', 'skip', 'replace', 'rename'].includes(this.onDuplicate)) {
+			throw new Error(`invalid onDuplicate option: ${this.onDuplicate}`);
+		}
+
+		// container format, e.g. 'epub', 'odf', 'jar' or 'ooxml', whose required entries are added
+		// automatically. packageMimeType is the media type of an epub or odf package, as opposed to
+		// the mimeType of an entry.
+		this.profile = options.profile == null ? null : getProfile(options);
+		this.generatedNames = new Set();
+
+		for (const generatedEntry of this.profile?.firstEntries ?? []) {
+			// failures fail the archive
+			addGeneratedEntry(this, generatedEntry).catch(() => {});
+		}
 	}
 
 	async addFile(...args) {
 		const entry = await super.addFile(...args);
 
-		this.entries.push(entry);
+		pushEntries(this, [entry]);
 
 		return entry;
 	}
@@ -17,7 +38,15 @@ export default class ZipFile extends LowLevelZipFile {
 	async addReadStream(...args) {
 		const entry = await super.addReadStream(...args);
 
-		this.entries.push(entry);
+		pushEntries(this, [entry]);
+
+		return entry;
+	}
+
+	async addLazyReadStream(...args) {
+		const entry = await super.addLazyReadStream(...args);
+
+		pushEntries(this, [entry]);
 
 		return entry;
 	}
@@ -25,7 +54,39 @@ export default class ZipFile extends LowLevelZipFile {
 	async addBuffer(...args) {
 		const entry = await super.addBuffer(...args);
 
-		this.entries.push(entry);
+		pushEntries(this, [entry]);
+
+		return entry;
+	}
+
+	async addDirectory(...args) {
+		const entries = await super.addDirectory(...args);
+
+		pushEntries(this, entries);
+
+		return entries;
+	}
+
+	async addRawEntry(...args) {
+		const entry = await super.addRawEntry(...args);
+
+		pushEntries(this, [entry]);
+
+		return entry;
+	}
+
+	async addZipEntries(...args) {
+		const entries = await super.addZipEntries(...args);
+
+		pushEntries(this, entries);
+
+		return entries;
+	}
+
+	async addSymlink(...args) {
+		const entry = await super.addSymlink(...args);
+
+		pushEntries(this, [entry]);
 
 		return entry;
 	}
@@ -33,20 +94,215 @@ export default class ZipFile extends LowLevelZipFile {
 	async addEmptyDirectory(...args) {
 		const entry = await super.addEmptyDirectory(...args);
 
-		this.entries.push(entry);
+		pushEntries(this, [entry]);
 
 		return entry;
 	}
 
+	resolveEntryName(entry) {
+		const metadataPath = super.resolveEntryName(entry);
+
+		if (
+			this.profile?.reservedNames.has(metadataPath)
+			&& !this.generatedNames.delete(metadataPath)
+		) {
+			throw new Error(`${metadataPath} is added by the ${this.profile.name} profile`);
+		}
+		const existingEntry = this.entriesByName.get(getNameKey(metadataPath));
+
+		if (existingEntry == null) {
+			this.entriesByName.set(getNameKey(metadataPath), entry);
+
+			return metadataPath;
+		}
+
+		// the parents of the prefix of addDirectory() are only added if they don't exist yet
+		if (
+			this.onDuplicate === 'skip'
+			|| (entry.isImplicitParent && super.resolveEntryName(existingEntry).endsWith('/'))
+		) {
+			return null;
+		}
+
+		if (this.onDuplicate === 'replace') {
+			// the earlier entry might still be being written, in which case it isn't listed once it has
+			// been
+			if (!this.entries.includes(existingEntry)) {
+				this.removedEntries.push(existingEntry);
+			}
+
+			this.removeEntry(existingEntry);
+			this.entriesByName.set(getNameKey(metadataPath), entry);
+
+			return metadataPath;
+		}
+
+		if (this.onDuplicate === 'rename') {
+			// directories with the same name are merged
+			if (metadataPath.endsWith('/') && super.resolveEntryName(existingEntry).endsWith('/')) {
+				return null;
+			}
+
+			for (let i = 1; ; i++) {
+				const renamedPath = getRenamedPath(metadataPath, i);
+
+				if (!this.entriesByName.has(getNameKey(renamedPath))) {
+					this.entriesByName.set(getNameKey(renamedPath), entry);
+
+					return renamedPath;
+				}
+			}
+		}
+
+		throw new Error(`duplicate entry name: ${metadataPath}`);
+	}
+
 	removeEntry(entry) {
-		this.entries = this.entries.filter(existingEntry => existingEntry !== entry);
+		if (this.entries.includes(entry)) {
+			this.entries = this.entries.filter(existingEntry => existingEntry !== entry);
+			this.removedEntries.push(entry);
+		}
+
+		this.releaseEntryName(entry);
+	}
+
+	// the name can be used again
+	releaseEntryName(entry) {
+		const key = getNameKey(super.resolveEntryName(entry));
+
+		if (this.entriesByName.get(key) === entry) {
+			this.entriesByName.delete(key);
+		}
+	}
+
+	calculateTotalSize(options = {}) {
+		// the entries generated at the end depend on what has been added by then
+		if (options.digestManifest != null || this.profile?.getLastEntries) {
+			return Promise.resolve(null);
+		}
+
+		return super.calculateTotalSize({ ...options, excludedEntries: this.removedEntries });
 	}
 
+	// options.digestManifest adds an entry that lists the digests of the entries, either as 'json' or
+	// as 'sums', like the output of sha256sum. options.digestManifestPath is its name.
 	async end(options = {}) {
-		const entry = await super.addCentralDirectoryRecord(this.entries, options);
+		try {
+			if (
+				options.digestManifest != null
+				&& options.digestManifest !== 'json'
+				&& options.digestManifest !== 'sums'
+			) {
+				throw new Error(`invalid digestManifest: ${options.digestManifest}`);
+			}
 
-		super.end();
+			if (options.digestManifest != null || this.profile) {
+				// the generated entries list the entries that have been written
+				await this.queue;
+			}
 
-		return entry;
+			// nothing is added unless the generated entries can be
+			this.profile?.checkEntries(this.entries);
+
+			if (options.digestManifest != null) {
+				const [metadataPath, data] = getDigestManifest(this.entries, options);
+
+				await this.addBuffer(data, metadataPath);
+			}
+
+			if (this.profile?.getLastEntries) {
+				for (const generatedEntry of this.profile.getLastEntries(this.entries)) {
+					await addGeneratedEntry(this, generatedEntry);
+				}
+			}
+
+			return await super.addCentralDirectoryRecord(this.entries, options);
+		} catch (e) {
+			// the output doesn't end as if it was a complete archive
+			this.destroy(e);
+
+			throw e;
+		} finally {
+			// the output file is closed even if the archive has failed, e.g. because it was aborted
+			await super.end();
+		}
+	}
+}
+
+function getDigestManifest(entries, { digestManifest, digestManifestPath }) {
+	const digestedEntries = entries.filter(entry => entry.digest != null);
+
+	if (digestManifest === 'json') {
+		const digests = {};
+
+		for (const entry of digestedEntries) {
+			digests[entry.utf8FileName.toString('utf-8')] = { [entry.digestAlgorithm]: entry.digest };
+		}
+
+		return [
+			digestManifestPath ?? 'digests.json',
+			Buffer.from(`${JSON.stringify(digests, null, '\t')}\n`)
+		];
 	}
+
+	const algorithms = new Set(digestedEntries.map(entry => entry.digestAlgorithm));
+
+	// sha256sum and sha512sum can only check one kind of digest at a time
+	if (algorithms.size > 1) {
+		throw new Error('entries have different digests');
+	}
+
+	const [algorithm = 'sha256'] = algorithms;
+
+	return [
+		digestManifestPath ?? `${algorithm.toUpperCase()}SUMS`,
+		Buffer.from(digestedEntries
+			.map(entry => `${entry.digest}  ${entry.utf8FileName.toString('utf-8')}\n`)
+			.join(''))
+	];
+}
+
+function addGeneratedEntry(self, { metadataPath, data, stored = false }) {
+	self.generatedNames.add(metadataPath);
+
+	if (!stored) {
+		return self.addBuffer(data, metadataPath);
+	}
+
+	// without extra fields, so that nothing but the data follows the name
+	return self.addBuffer(data, metadataPath, {
+		compress: false,
+		extendedTimestamp: false,
+		uid: undefined,
+		gid: undefined,
+		password: null,
+		align: undefined,
+		extraFields: [],
+		nameEncoding: 'utf8'
+	});
+}
+
+// entries that were replaced while they were being written aren't listed
+function pushEntries(self, entries) {
+	for (const entry of entries) {
+		if (entry != null && !self.removedEntries.includes(entry)) {
+			self.entries.push(entry);
+		}
+	}
+}
+
+// a file and a directory can't have the same name either
+function getNameKey(metadataPath) {
+	return metadataPath.replace(/\/$/, '').normalize('NFC').toLowerCase();
+}
+
+// dir/file.txt becomes dir/file (1).txt, dir/ becomes dir (1)/
+function getRenamedPath(metadataPath, i) {
+	if (metadataPath.endsWith('/')) {
+		return `${metadataPath.slice(0, -1)} (${i})/`;
+	}
+
+	const [, base, extension] = /^(.*?[^/])((?:\.[^./]*)?)$/.exec(metadataPath);
+
+	return `${base} (${i})${extension}`;
 }
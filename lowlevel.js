@@ -1,8 +1,22 @@
 /* eslint-disable no-bitwise */
+import { Blob } from 'buffer';
+import crypto from 'crypto';
 import fs from 'fs';
-import { Readable, Transform, PassThrough } from 'stream';
+import path from 'path';
+import {
+	Readable, Stream, Transform, PassThrough, addAbortSignal, pipeline
+} from 'stream';
+import { ReadableStream } from 'stream/web';
 import zlib from 'zlib';
 import crc32 from 'buffer-crc32';
+import {
+	AES_COMPRESSION_METHOD,
+	createEncryptionStream,
+	encryptBuffer,
+	getAesExtraFieldData,
+	getEncryption,
+	getEncryptionOverhead
+} from './encryption.js';
 
 const { unsigned: crc32Unsigned } = crc32;
 
@@ -11,122 +25,393 @@ const EMPTY_BUFFER = Buffer.allocUnsafe(0);
 const LOCAL_FILE_HEADER_FIXED_SIZE = 30;
 const VERSION_NEEDED_TO_EXTRACT_UTF8 = 20;
 const VERSION_NEEDED_TO_EXTRACT_ZIP64 = 45;
+const VERSION_NEEDED_TO_EXTRACT_AES = 51;
 // 3 = unix. 63 = spec version 6.3
 const VERSION_MADE_BY = (3 << 8) | 63;
 const FILE_NAME_IS_UTF8 = 1 << 11;
+const IS_ENCRYPTED = 1 << 0;
 const UNKNOWN_CRC32_AND_FILE_SIZES = 1 << 3;
 
+const S_IFMT = 0o170000;
+const S_IFDIR = 0o040000;
+const S_IFLNK = 0o120000;
+
+const NO_COMPRESSION = 0;
+const DEFLATE_COMPRESSION = 8;
+const ZSTD_COMPRESSION = 93;
+
+// compression methods that can be used for new entries, keyed by the method ID of the zip format.
+// createStream() gets the compressionOptions of the entry and returns a transform stream producing
+// the compressed data.
+const compressionMethods = new Map([
+	[DEFLATE_COMPRESSION, {
+		createStream: options => zlib.createDeflateRaw(options),
+		versionNeededToExtract: 20
+	}]
+]);
+
+// zstd is only available in newer versions of node
+if (zlib.createZstdCompress) {
+	compressionMethods.set(ZSTD_COMPRESSION, {
+		createStream: options => zlib.createZstdCompress(options),
+		versionNeededToExtract: 63
+	});
+}
+
+// with `compress: 'auto'`, data up to this size is compressed in advance and stored instead if
+// compressing doesn't make it smaller
+const AUTO_COMPRESSION_MAX_BUFFERED_SIZE = 64 * 1024;
+
+// formats whose data is compressed already, so compressing it again rarely pays off
+const COMPRESSED_EXTENSIONS = new Set([
+	'jpg', 'jpeg', 'png', 'gif', 'webp', 'avif', 'heic', 'heif', 'jxl',
+	'mp3', 'm4a', 'aac', 'ogg', 'oga', 'opus', 'flac', 'wma',
+	'mp4', 'm4v', 'mov', 'avi', 'mkv', 'webm', 'wmv', 'flv', '3gp',
+	'zip', 'gz', 'tgz', 'bz2', 'tbz2', 'xz', 'txz', 'zst', 'lz', 'lzma', 'lz4', 'br', '7z', 'rar',
+	'jar', 'war', 'apk', 'ipa', 'epub', 'docx', 'xlsx', 'pptx', 'odt', 'ods', 'odp', 'woff', 'woff2'
+]);
+const COMPRESSED_MIME_TYPE = new RegExp('^(?:image/(?!svg|bmp|tiff|x-icon)|audio/(?!wav|x-wav|aiff)'
+	+ '|video/|font/woff|application/(?:zip|gzip|x-gzip|x-bzip2|x-xz|zstd|x-7z-compressed'
+	+ '|vnd\\.rar|x-rar-compressed|java-archive|epub\\+zip|vnd\\.openxmlformats'
+	+ '|vnd\\.oasis\\.opendocument))');
+
+const DIGEST_ALGORITHMS = new Set(['sha256', 'sha512']);
+
 const eocdrSignatureBuffer = Buffer.from([0x50, 0x4b, 0x05, 0x06]);
 
 const ZIP64_END_OF_CENTRAL_DIRECTORY_RECORD_SIZE = 56;
 const ZIP64_END_OF_CENTRAL_DIRECTORY_LOCATOR_SIZE = 20;
 const END_OF_CENTRAL_DIRECTORY_RECORD_SIZE = 22;
 
+// same as the minimum of Info-ZIP
+const MIN_VOLUME_SIZE = 64 * 1024;
+
 const DATA_DESCRIPTOR_SIZE = 16;
 const ZIP64_DATA_DESCRIPTOR_SIZE = 24;
 
 const CENTRAL_DIRECTORY_RECORD_FIXED_SIZE = 46;
 const ZIP64_EXTENDED_INFORMATION_EXTRA_FIELD_SIZE = 28;
+const LOCAL_ZIP64_EXTENDED_INFORMATION_EXTRA_FIELD_SIZE = 20;
+const ANDROID_ALIGNMENT_EXTRA_FIELD_SIZE = 6;
 
 export default class ZipFile extends Readable {
-	constructor() {
+	constructor(options = {}) {
 		super();
 		this.queue = Promise.resolve();
 		this.outputStreamCursor = 0;
+		this.outputFull = false;
+		this.readCallbacks = [];
+		this.sizePrediction = Promise.resolve({
+			outputStreamCursor: 0,
+			centralDirectorySize: 0,
+			entriesCount: 0
+		});
+		// number of entries whose data can be read and compressed at the same time. data of the entries
+		// that aren't yet being written is buffered in memory, up to readAheadBufferSize per entry.
+		this.concurrency = options.concurrency ?? 1;
+		this.readAheadBufferSize = options.readAheadBufferSize ?? 1024 * 1024;
+		this.readAheadQueue = Promise.resolve();
+		this.readAheadSlots = this.concurrency;
+		this.readAheadCallbacks = [];
+		// for progress events
+		this.entriesQueued = 0;
+		this.entriesDone = 0;
+		this.namesResolved = Promise.resolve();
+
+		// aborting the archive fails it and destroys the streams of the entries that haven't been
+		// written yet
+		this.signal = options.signal;
+
+		if (this.signal?.aborted) {
+			process.nextTick(() => this.destroy(this.signal.reason));
+		} else {
+			this.signal?.addEventListener('abort', () => this.destroy(this.signal.reason), { once: true });
+		}
+
+		// reproducible archives only depend on the data and the names of the entries, and the order in
+		// which they're added
+		this.reproducible = !!options.reproducible;
+
+		if (this.reproducible) {
+			getReproducibleTime();
+		}
+
+		// entries with the same data as an earlier entry point to the data of the earlier entry instead
+		// of having their own copy. only the central directory records differ, and some readers
+		// reject archives whose records share data. other data that isn't known before it's written
+		// can only be deduplicated when writing to a file.
+		this.deduplicate = !!options.deduplicate;
+		this.entriesByData = new Map();
+		// when writing to a stream, files are hashed before they're written if there's data of the
+		// same size already
+		this.dataSizes = new Set();
+
+		if (this.deduplicate) {
+			// it's not known in advance which entries are duplicates
+			this.sizePrediction = Promise.resolve(null);
+		}
+
+		// entries that fail are left out of the archive instead of failing it, unless they've already
+		// been partially written to the output stream. they're listed in failedEntries as
+		// `{ entry, error }`, where entry is null if the failure happened before the entry was
+		// created, e.g. the file couldn't be found.
+		this.continueOnError = !!options.continueOnError;
+		this.failedEntries = [];
+
+		// how names and file comments are encoded: 'utf8', 'cp437' or 'cp437-unicode'. the latter falls
+		// back to Info-ZIP Unicode extra fields for text that isn't representable in CP437.
+		this.nameEncoding = validateNameEncoding(options.nameEncoding ?? 'utf8');
+
+		// options that apply to all entries, unless overridden per entry
+		this.entryOptions = {
+			reproducible: this.reproducible,
+			nameEncoding: this.nameEncoding,
+			compress: options.compress,
+			compressionMethod: options.compressionMethod,
+			compressionOptions: options.compressionOptions,
+			align: options.align,
+			alignPadding: options.alignPadding,
+			// duplicates are recognized by their digests
+			digest: options.digest ?? (this.deduplicate ? 'sha256' : undefined),
+			password: options.password,
+			encryption: options.encryption,
+			aesVersion: options.aesVersion
+		};
+
+		// instead of being a readable stream, the zip file can be written to a file, in which case the
+		// local file headers are patched with crc and sizes after the data is written, instead of
+		// using data descriptors
+		if (options.output != null) {
+			const volumeSize = options.volumeSize ?? Infinity;
+
+			if (volumeSize !== Infinity && typeof options.output !== 'string') {
+				throw new Error('volumeSize requires an output path');
+			}
+
+			if (!(volumeSize >= MIN_VOLUME_SIZE)) {
+				throw new Error(`invalid volumeSize: ${volumeSize}`);
+			}
+
+			this.outputFile = {
+				path: typeof options.output === 'string' ? options.output : null,
+				handle: typeof options.output === 'string' ? null : options.output,
+				volumeSize,
+				// volumes by their position in the archive. they're discarded if entries written to them
+				// are aborted.
+				volumes: [],
+				discardedVolumes: [],
+				closeHandle: typeof options.output === 'string',
+				written: Promise.resolve(),
+				pendingSize: 0
+			};
+
+			startVolume(this);
+
+			if (volumeSize !== Infinity) {
+				// split archives start with the spanning signature, which counts towards the offsets
+				writeBuffer(this, Buffer.from([0x50, 0x4b, 0x07, 0x08]));
+				// the size of the archive can't be known before it's known which records end up on
+				// which volume
+				this.sizePrediction = Promise.resolve(null);
+			}
+		} else if (options.volumeSize != null) {
+			throw new Error('volumeSize requires an output path');
+		}
+	}
+
+	// registers a compression method, which can then be used for entries with the compressionMethod
+	// option. existing methods can be overridden, e.g. to use a different deflate implementation.
+	static registerCompressionMethod(method, { createStream, versionNeededToExtract = 20 }) {
+		if (!Number.isInteger(method) || method <= NO_COMPRESSION || method > 0xffff) {
+			throw new Error(`invalid compression method: ${method}`);
+		}
+
+		compressionMethods.set(method, { createStream, versionNeededToExtract });
 	}
 
-	// eslint-disable-next-line class-methods-use-this, no-underscore-dangle
-	_read() {}
+	// eslint-disable-next-line no-underscore-dangle
+	_read() {
+		if (!this.outputFile) {
+			resumeOutput(this);
+		}
+	}
 
 	addFile(realPath, metadataPath, options = {}) {
+		options = getEntryOptions(this, options);
 		metadataPath = validateMetadataPath(metadataPath, false);
 
-		const statsPromise = fs.promises.open(realPath)
-			.then(async handle => [handle, await handle.stat()]);
+		const symlinks = options.symlinks ?? 'follow';
+
+		if (symlinks !== 'follow' && symlinks !== 'archive') {
+			throw new Error(`invalid symlinks option: ${symlinks}`);
+		}
+
+		// the file itself is only opened when it's its turn to be written
+		const statsPromise = statFile(realPath, symlinks === 'archive');
 
 		statsPromise.catch(() => {});
 
-		return addEntry(this, async () => {
-			const [handle, stats] = await statsPromise;
+		return addEntry(this, options.signal, async () => {
+			const [stats, target] = await statsPromise;
 
-			if (!stats.isFile()) {
-				throw new Error(`not a file: ${realPath}`);
-			}
+			options = { ...options, ...getStatsOptions(options, stats) };
 
-			const entry = new FileEntry(metadataPath, {
-				...options,
-				compress: options.compress ?? true,
-				forceZip64Format: options.forceZip64Format ?? false,
-				mode: options.mode ?? stats.mode,
-				mtime: options.mtime ?? stats.mtime,
-				size: stats.size
-			});
+			if (target != null) {
+				return getSymlinkItem(this, target, metadataPath, options);
+			}
 
-			const readStream = handle.createReadStream();
+			const entry = createFileEntry(realPath, metadataPath, options, stats);
 
-			return [entry, () => writeEntryStream(this, entry, readStream)];
+			return getFileItem(this, entry, options, realPath);
 		});
 	}
 
+	addDirectory(realPath, metadataPrefix = '', options = {}) {
+		options = getEntryOptions(this, options);
+		if (metadataPrefix !== '') {
+			metadataPrefix = validateMetadataPath(metadataPrefix, true);
+		}
+
+		return addEntries(
+			this,
+			() => walkDirectory(this, realPath, metadataPrefix, options),
+			options.signal
+		);
+	}
+
+	// besides node streams, the data can be a web ReadableStream, Blob, typed array or an (async)
+	// iterable of chunks
 	addReadStream(readStream, metadataPath, options = {}) {
-		metadataPath = validateMetadataPath(metadataPath, false);
+		options = getEntryOptions(this, options);
 
-		const entry = new FileEntry(metadataPath, {
-			...options,
-			compress: options.compress ?? true,
-			forceZip64Format: options.forceZip64Format ?? false
-		});
+		// blobs are only read when it's the entry's turn to be written
+		if (readStream instanceof Blob) {
+			const blob = readStream;
+
+			return addReadStreamEntry(
+				this,
+				() => toReadStream(blob),
+				metadataPath,
+				{ ...options, size: options.size ?? blob.size }
+			);
+		}
+
+		readStream = toReadStream(readStream);
 
-		return addEntry(this, () => [entry, () => writeEntryStream(this, entry, readStream)]);
+		if (options.signal) {
+			addAbortSignal(options.signal, readStream);
+		}
+
+		return addReadStreamEntry(this, () => readStream, metadataPath, options);
+	}
+
+	// like addReadStream(), but the stream is only created when it's the entry's turn to be written.
+	// getReadStream can return the stream, or any other data source addReadStream() accepts, or a
+	// promise of it.
+	addLazyReadStream(getReadStream, metadataPath, options = {}) {
+		options = getEntryOptions(this, options);
+
+		return addReadStreamEntry(this, getReadStream, metadataPath, options);
 	}
 
 	addBuffer(buffer, metadataPath, options = {}) {
+		buffer = toBuffer(buffer);
+		options = getEntryOptions(this, options);
 		metadataPath = validateMetadataPath(metadataPath, false);
 		if (buffer.length > 0x3fffffff) throw new Error(`buffer too large: ${buffer.length} > ${0x3fffffff}`);
 
-		const compress = options.compress ?? true;
-		const crc32 = crc32Unsigned(buffer);
-		const size = buffer.length;
+		getCompressionOptions(options, metadataPath);
 
-		if (compress) {
-			buffer = new Promise((resolve, reject) => {
-				zlib.deflateRaw(buffer, (err, compressedBuffer) => {
-					if (err) {
-						reject(err);
+		return addEntry(this, options.signal, () => getBufferItem(this, buffer, metadataPath, options));
+	}
 
-						return;
-					}
+	// adds data that is already compressed. crc32 and size of the uncompressed data must be provided
+	addRawEntry(data, metadataPath, options = {}) {
+		// the archive-wide compression method is for data yazl compresses itself
+		const compressionMethod = options.compressionMethod ?? DEFLATE_COMPRESSION;
+		options = getEntryOptions(this, options);
+		metadataPath = validateMetadataPath(metadataPath, false);
 
-					resolve(compressedBuffer);
-				});
-			});
+		if (options.crc32 == null || options.size == null) {
+			throw new Error('crc32 and size are required for raw entries');
+		}
+
+		data = ArrayBuffer.isView(data) ? toBuffer(data) : toReadStream(data);
+
+		const entry = new FileEntry(metadataPath, {
+			...options,
+			compressionMethod,
+			compress: compressionMethod !== NO_COMPRESSION,
+			compressedSize: Buffer.isBuffer(data) ? data.length : options.compressedSize,
+			forceZip64Format: options.forceZip64Format ?? false
+		});
 
-			buffer.catch(() => {});
+		if (Buffer.isBuffer(data)) {
+			return addEntry(this, options.signal, () => [
+				entry,
+				() => () => writeEntryBuffer(this, entry, data)
+			]);
 		}
 
-		return addEntry(this, async () => {
-			buffer = await buffer;
+		if (options.signal) {
+			addAbortSignal(options.signal, data);
+		}
 
-			const entry = new FileEntry(metadataPath, {
-				...options,
-				compress,
-				forceZip64Format: options.forceZip64Format ?? false,
-				compressedSize: buffer.length,
-				crc32,
-				size
-			});
+		return addEntry(this, options.signal, () => getEntryStreamItem(
+			this,
+			entry,
+			() => data,
+			readRawEntryStream
+		));
+	}
 
-			return [entry, () => writeBuffer(this, buffer)];
-		});
+	// copies entries from an existing zip file without recompressing them. options.filter can be
+	// used to select the entries, it's called with the file name and the central directory record.
+	addZipEntries(realPath, options = {}) {
+		options = getEntryOptions(this, options);
+
+		return addEntries(this, () => readZipEntries(this, realPath, options), options.signal);
+	}
+
+	addSymlink(target, metadataPath, options = {}) {
+		options = getEntryOptions(this, options);
+		metadataPath = validateMetadataPath(metadataPath, false);
+
+		return addEntry(
+			this,
+			options.signal,
+			() => getSymlinkItem(this, target, metadataPath, options)
+		);
+	}
+
+	// the archive as a web ReadableStream, e.g. for a fetch Response
+	toReadableStream() {
+		if (this.outputFile) {
+			throw new Error('the archive is written to the output file');
+		}
+
+		return Readable.toWeb(this);
+	}
+
+	// called for each entry before it's written, in the order in which the entries were added.
+	// returns the name to write the entry with, or null to skip the entry.
+	// eslint-disable-next-line class-methods-use-this
+	resolveEntryName(entry) {
+		return entry.utf8FileName.toString('utf-8');
 	}
 
+	// called for the entries whose names have been resolved, but which aren't written after all
+	// eslint-disable-next-line class-methods-use-this, no-unused-vars
+	releaseEntryName(entry) {}
+
 	addEmptyDirectory(metadataPath, options = {}) {
+		options = getEntryOptions(this, options);
 		metadataPath = validateMetadataPath(metadataPath, true);
 
-		return addEntry(this, () => {
+		return addEntry(this, options.signal, () => {
 			const entry = new DirectoryEntry(metadataPath, options);
 
-			return [entry, () => {}];
+			return [entry, () => () => {}];
 		});
 	}
 
@@ -136,166 +421,1504 @@ export default class ZipFile extends Readable {
 		}
 
 		const forceZip64Format = !!options.forceZip64Format;
-		let comment = EMPTY_BUFFER;
-
-		if (options.comment != null) {
-			comment = typeof options.comment === 'string'
-				? encodeCp437(options.comment)
-				: options.comment;
+		const comment = getArchiveComment(options);
 
-			if (comment.length > 0xffff) {
-				throw new Error('comment is too large');
+		const queue = this.queue.then(() => {
+			if (this.reproducible) {
+				entries = [...entries].sort((a, b) => Buffer.compare(a.utf8FileName, b.utf8FileName));
 			}
 
-			// gotta check for this, because the zipfile format is actually ambiguous.
-			if (comment.includes(eocdrSignatureBuffer)) {
-				throw new Error('comment contains end of central directory record signature');
-			}
-		}
+			const centralDirectoryRecords = entries.map(getCentralDirectoryRecord);
 
-		const queue = this.queue.then(() => {
+			// the central directory starts where its first record fits
+			startRecord(this, centralDirectoryRecords[0]?.length ?? 0);
 			this.offsetOfStartOfCentralDirectory = this.outputStreamCursor;
+			const start = getVolumePosition(this, this.offsetOfStartOfCentralDirectory);
+			let volumeEntriesCount = 0;
 
-			entries.forEach(entry => {
-				writeBuffer(this, getCentralDirectoryRecord(entry));
+			centralDirectoryRecords.forEach(buffer => {
+				if (startRecord(this, buffer.length)) {
+					volumeEntriesCount = 0;
+				}
+
+				writeBuffer(this, buffer);
+				volumeEntriesCount++;
 			});
 
-			const record = {
-				offsetOfStartOfCentralDirectory: this.offsetOfStartOfCentralDirectory,
-				forceZip64Format,
-				comment,
-				outputStreamCursor: this.outputStreamCursor,
-				entriesCount: entries.length
+			const getRecord = () => {
+				const end = getVolumePosition(this, this.outputStreamCursor);
+
+				return {
+					offsetOfStartOfCentralDirectory: start.offset,
+					sizeOfCentralDirectory: this.outputStreamCursor - this.offsetOfStartOfCentralDirectory,
+					forceZip64Format,
+					comment,
+					outputStreamCursor: end.offset,
+					entriesCount: entries.length,
+					volumeNumber: end.volumeNumber,
+					centralDirectoryVolumeNumber: start.volumeNumber,
+					volumeEntriesCount,
+					volumesCount: end.volumeNumber + 1
+				};
 			};
 
+			let record = getRecord();
+
+			// the end of central directory records are on the last volume, in one piece
+			if (startRecord(this, getEndOfCentralDirectoryRecord(record, true))) {
+				volumeEntriesCount = 0;
+				record = getRecord();
+			}
+
 			writeBuffer(this, getEndOfCentralDirectoryRecord(record));
 
 			return record;
 		});
 
 		this.queue.catch(e => {
-			this.emit('error', e);
+			if (!this.destroyed) {
+				this.emit('error', e);
 
-			this.destroy();
+				this.destroy();
+			}
 		});
 
 		return queue;
 	}
 
-	end() {
+	// Resolves to the total size of the archive, assuming that all entries added so far will be
+	// listed in the central directory, except for `options.excludedEntries`. Resolves to null if the
+	// size can't be known before the data is written, i.e. some entry is compressed while streaming
+	// or its size isn't known.
+	async calculateTotalSize(options = {}) {
+		const forceZip64Format = !!options.forceZip64Format;
+		const comment = getArchiveComment(options);
+		const prediction = await this.sizePrediction;
+
+		if (prediction == null) {
+			return null;
+		}
+
+		let { centralDirectorySize, entriesCount } = prediction;
+
+		for (const entry of options.excludedEntries ?? []) {
+			centralDirectorySize -= getCentralDirectoryRecordSize(entry);
+			entriesCount--;
+		}
+
+		const offsetOfStartOfCentralDirectory = prediction.outputStreamCursor;
+		const outputStreamCursor = offsetOfStartOfCentralDirectory + centralDirectorySize;
+
+		return outputStreamCursor + getEndOfCentralDirectoryRecord({
+			offsetOfStartOfCentralDirectory,
+			forceZip64Format,
+			comment,
+			outputStreamCursor,
+			entriesCount
+		}, true);
+	}
+
+	async end() {
 		delete this.queue;
-		this.push(null);
+
+		// an archive that has failed doesn't end as if it was complete
+		if (!this.destroyed) {
+			this.push(null);
+		}
+
+		if (this.outputFile) {
+			const {
+				path,
+				volumeSize,
+				volumes,
+				discardedVolumes,
+				closeHandle,
+				written
+			} = this.outputFile;
+
+			try {
+				await written;
+
+				for (const [i, { start, handle }] of volumes.entries()) {
+					const end = i < volumes.length - 1 ? volumes[i + 1].start : this.outputStreamCursor;
+
+					// in case data of aborted entries was discarded at the end of the volume
+					await (await handle).truncate(end - start);
+				}
+
+				// an archive that was meant to be split, but fits in one volume, is marked as such
+				// instead of with the spanning signature
+				if (volumeSize !== Infinity && volumes.length === 1) {
+					await (await volumes[0].handle).write(Buffer.from([0x50, 0x4b, 0x30, 0x30]), 0, 4, 0);
+				}
+			} finally {
+				if (closeHandle) {
+					for (const { handle } of [...volumes, ...discardedVolumes]) {
+						await (await handle).close();
+					}
+				}
+			}
+
+			if (volumeSize !== Infinity) {
+				for (const i of discardedVolumes.map(volume => volume.number)) {
+					if (i >= volumes.length) {
+						await fs.promises.rm(getVolumePath(path, i), { force: true });
+					}
+				}
+
+				// the last volume is the .zip file
+				await fs.promises.rename(getVolumePath(path, volumes.length - 1), path);
+			}
+		}
 	}
 }
 
-async function addEntry(self, callback) {
-	if (!self.queue) {
-		throw new Error('Zip file has been finalized');
-	}
+function addEntry(self, signal, prepare) {
+	return addEntries(self, async () => [await prepare()], signal, true);
+}
+
+// when the signal is aborted, entries that haven't been written yet are skipped and the promise
+// rejects with the abort reason. an entry that's being written is discarded in file output mode,
+// along with the entries that were written before it. otherwise the whole archive fails. entries
+// that fail in continueOnError mode are left out of the result. if the name of an entry is
+// rejected, none of the entries are written and the promise rejects, but the archive doesn't fail.
+function addEntries(self, prepare, signal, single = false) {
+	const prepared = prepareEntries(self, prepare, signal);
+	let skipped = false;
+
+	return enqueue(self, async () => {
+		const start = self.outputStreamCursor;
+		let entryStart = start;
+		let items = [];
+		let nameError = null;
+		const entries = [];
+
+		try {
+			try {
+				[items, nameError] = await prepared;
+			} catch (e) {
+				skipFailedEntry(self, null, e, signal, self.outputStreamCursor);
+			}
+
+			if (nameError != null) {
+				skipped = true;
+
+				throw nameError;
+			}
+
+			for (const [entry, load] of items) {
+				// don't start on the next entry while the consumer is still busy with the previous ones
+				await waitForRead(self);
+
+				entryStart = self.outputStreamCursor;
+
+				try {
+					entries.push(await writeEntry(self, entry, load));
+				} catch (e) {
+					skipFailedEntry(self, entry, e, signal, entryStart);
+				}
+			}
+		} catch (e) {
+			// aborting the whole archive fails it
+			if (!signal?.aborted || self.signal?.aborted) {
+				throw e;
+			}
+
+			if (self.outputFile) {
+				discardOutput(self, start);
+
+				// the data of the discarded entries can't be shared anymore
+				for (const entry of entries) {
+					if (self.entriesByData.get(getDataKey(self, entry)) === entry) {
+						self.entriesByData.delete(getDataKey(self, entry));
+					}
+				}
+			} else if (self.outputStreamCursor !== entryStart) {
+				throw e;
+			}
 
-	self.queue = self.queue.then(async () => {
-		const [entry, write] = await callback();
+			self.entriesQueued -= items.length;
+			self.entriesDone -= entries.length;
+			emitProgress(self);
 
-		entry.relativeOffsetOfLocalHeader = self.outputStreamCursor;
-		writeBuffer(self, getLocalFileHeader(entry));
+			for (const [entry] of items) {
+				self.releaseEntryName(entry);
+			}
+
+			skipped = true;
+
+			throw signal.reason;
+		} finally {
+			// the entries that haven't been written don't need their read-ahead slots anymore
+			for (const [, , , discard] of items) {
+				discard?.();
+			}
+		}
 
-		const cursor = self.outputStreamCursor;
+		// a single entry resolves to null if it was skipped
+		return single ? entries[0] ?? null : entries;
+	}, () => skipped);
+}
 
-		await write();
+// resolves to `[items, nameError]`. items are the ones that are going to be written, unless a name
+// was rejected, in which case there are none.
+function resolveNames(self, items) {
+	const resolvedItems = [];
 
-		const compressedSize = self.outputStreamCursor - cursor;
-		if (entry.compressedSize == null) {
-			entry.compressedSize = compressedSize;
-		} else if (compressedSize !== entry.compressedSize) {
-			throw new Error('Unexpected compressed size');
+	try {
+		for (const item of items) {
+			if (resolveName(self, item[0])) {
+				resolvedItems.push(item);
+			}
+		}
+	} catch (e) {
+		for (const [entry] of resolvedItems) {
+			self.releaseEntryName(entry);
 		}
 
-		writeBuffer(self, getDataDescriptor(entry));
+		return [[], e];
+	}
+
+	return [resolvedItems, null];
+}
+
+// returns whether the entry is going to be written
+function resolveName(self, entry) {
+	const metadataPath = self.resolveEntryName(entry);
+
+	if (metadataPath == null) {
+		return false;
+	}
+
+	if (metadataPath !== entry.utf8FileName.toString('utf-8')) {
+		setEntryName(entry, validateMetadataPath(metadataPath, entry instanceof DirectoryEntry));
+	}
+
+	return true;
+}
+
+// entries are prepared right away, so that their metadata is known before it's their turn to be
+// written
+function prepareEntries(self, prepare, signal) {
+	// names are resolved in the same order as the entries were added, so that it's clear which one of
+	// the entries with the same name came first
+	const prepared = Promise.all([self.namesResolved, Promise.resolve().then(prepare)])
+		.then(([, items]) => resolveNames(self, items), e => {
+			if (e instanceof InvalidPathError) {
+				return [[], e];
+			}
+
+			throw e;
+		})
+		.then(([items, nameError]) => {
+			self.entriesQueued += items.length;
+
+			return [items.map(item => {
+				// the local file header is going to be patched, so there's no need for data
+				// descriptors. except with traditional encryption, which needs crc before the data if
+				// bit 3 isn't set.
+				if (
+					self.outputFile
+					&& (item[0].encryption?.method !== 'zipcrypto' || item[0].crc32 != null)
+				) {
+					item[0].crcAndFileSizeKnown = true;
+				}
+
+				return scheduleReadAhead(self, item, signal);
+			}), nameError];
+		});
+
+	prepared.catch(() => {});
+	self.namesResolved = prepared.catch(() => {});
+
+	if (self.concurrency > 1) {
+		// read-ahead is started in the same order as entries are written. otherwise later entries
+		// could take up all the slots while the entry that's next in line waits for one.
+		self.readAheadQueue = Promise.all([self.readAheadQueue, prepared])
+			.then(async ([, [items]]) => {
+				for (const [, , startReadAhead] of items) {
+					await startReadAhead?.();
+				}
+			})
+			.catch(() => {});
+	}
+
+	// entries that can be aborted might not end up in the archive. aborting the whole archive doesn't
+	// matter, there's no archive then. entries that fail to be prepared in continueOnError mode are
+	// skipped.
+	self.sizePrediction = signal != null && signal !== self.signal
+		? Promise.resolve(null)
+		: Promise.all([
+			self.sizePrediction,
+			self.continueOnError ? prepared.catch(() => [[]]) : prepared
+		])
+			.then(([prediction, [items]]) => items.reduce(predictEntrySize, prediction));
+
+	self.sizePrediction.catch(() => {});
+
+	return prepared;
+}
+
+// items are `[entry, load, readAhead]`. `load()` gets the entry data ready, e.g. opens the file,
+// and resolves to a function that writes it. it's called when it's the entry's turn, before the
+// local file header is written, so it can still change how the entry is stored and a source that
+// fails to open doesn't leave half an entry behind. the optional `readAhead()` is like `load()`,
+// but also starts reading the data. `load` is replaced with a function that uses the data read
+// ahead, and `readAhead` with one that also waits for a free read-ahead slot. both fail without
+// loading anything if the signal has been aborted. the added `discard()` gives up the slot of an
+// entry that isn't going to be written after all, or whose data hasn't been written.
+function scheduleReadAhead(self, [entry, load, readAhead], signal) {
+	if (self.concurrency <= 1 || !readAhead) {
+		return [entry, async () => {
+			signal?.throwIfAborted();
+
+			return load();
+		}];
+	}
 
-		return entry;
+	let resolveStarted;
+	const started = new Promise(resolve => {
+		resolveStarted = resolve;
 	});
 
-	self.queue.catch(e => {
-		self.emit('error', e);
+	started.catch(() => {});
+
+	let holdsSlot = false;
+	let discarded = false;
 
-		self.destroy();
+	const releaseSlot = () => {
+		if (holdsSlot) {
+			holdsSlot = false;
+			releaseReadAheadSlot(self);
+		}
+	};
+
+	const startReadAhead = async () => {
+		await acquireReadAheadSlot(self);
+
+		holdsSlot = true;
+
+		if (discarded) {
+			releaseSlot();
+			resolveStarted(Promise.reject(new Error('entry has been discarded')));
+
+			return;
+		}
+
+		resolveStarted(signal?.aborted ? Promise.reject(signal.reason) : readAhead());
+	};
+
+	const discard = () => {
+		discarded = true;
+		releaseSlot();
+	};
+
+	return [entry, async () => {
+		let writeData;
+
+		try {
+			writeData = await started;
+
+			// data read ahead for an entry that has been aborted since is discarded
+			signal?.throwIfAborted();
+		} catch (e) {
+			releaseSlot();
+
+			throw e;
+		}
+
+		return async () => {
+			try {
+				await writeData();
+			} finally {
+				releaseSlot();
+			}
+		};
+	}, startReadAhead, discard];
+}
+
+function acquireReadAheadSlot(self) {
+	if (self.readAheadSlots > 0) {
+		self.readAheadSlots--;
+
+		return Promise.resolve();
+	}
+
+	return new Promise(resolve => {
+		self.readAheadCallbacks.push(resolve);
 	});
+}
 
-	return self.queue;
+function releaseReadAheadSlot(self) {
+	const callback = self.readAheadCallbacks.shift();
+
+	if (callback) {
+		callback();
+	} else {
+		self.readAheadSlots++;
+	}
 }
 
-function writeBuffer(self, buffer) {
-	self.push(buffer);
-	self.outputStreamCursor += buffer.length;
+function getEntryStreamItem(self, entry, getReadStream, readStream = readEntryStream) {
+	return [
+		entry,
+		async () => {
+			const stream = await getReadStream();
+
+			return () => pushEntryStream(self, entry, readStream(entry, stream));
+		},
+		async () => {
+			const data = readStream(entry, await getReadStream(), self.readAheadBufferSize);
+
+			return () => pushEntryStream(self, entry, data);
+		}
+	];
 }
 
-function writeEntryStream(self, entry, readStream) {
-	let uncompressedSize = 0;
-	let compressedSize = 0;
-	let crc32 = 0;
+function predictEntrySize(prediction, [entry]) {
+	// compressed size is only known in advance if the data was compressed in advance
+	if (prediction == null || entry.compressedSize == null) {
+		return null;
+	}
 
-	const stream = readStream
-		.pipe(new Transform({
-			transform(chunk, encoding, cb) {
-				crc32 = crc32Unsigned(chunk, crc32);
-				cb(null, chunk);
-			}
-		}))
-		.pipe(new Transform({
-			transform(chunk, encoding, cb) {
-				uncompressedSize += chunk.length;
-				cb(null, chunk);
-			}
-		}))
-		.pipe(entry.compress ? new zlib.DeflateRaw() : new PassThrough())
-		.pipe(new Transform({
-			transform(chunk, encoding, cb) {
-				compressedSize += chunk.length;
-				cb(null, chunk);
-			}
-		}));
+	const relativeOffsetOfLocalHeader = prediction.outputStreamCursor;
 
-	stream.on('data', data => {
-		self.push(data);
+	return {
+		outputStreamCursor: prediction.outputStreamCursor
+			+ getLocalFileHeader(entry).length
+			+ getAlignmentPadding(entry, relativeOffsetOfLocalHeader).length
+			+ entry.compressedSize
+			+ getDataDescriptorSize(entry),
+		centralDirectorySize: prediction.centralDirectorySize
+			+ getCentralDirectoryRecordSize(entry, relativeOffsetOfLocalHeader),
+		entriesCount: prediction.entriesCount + 1
+	};
+}
+
+// the local file header of a stored entry is padded so that its data starts at a multiple of
+// entry.align bytes, like zipalign does for Android apps. returns the padding for a local file
+// header at the offset.
+function getAlignmentPadding(entry, offset) {
+	if (
+		entry.align == null
+		|| entry.compressionMethod !== NO_COMPRESSION
+		|| entry instanceof DirectoryEntry
+	) {
+		return EMPTY_BUFFER;
+	}
+
+	const dataOffset = offset + getLocalFileHeader(entry).length - entry.alignmentPadding.length;
+	let padding;
+
+	if (entry.alignPadding === 'zeros') {
+		padding = Buffer.alloc((entry.align - (dataOffset % entry.align)) % entry.align);
+	} else {
+		const size = ANDROID_ALIGNMENT_EXTRA_FIELD_SIZE
+			+ (entry.align - ((dataOffset + ANDROID_ALIGNMENT_EXTRA_FIELD_SIZE) % entry.align))
+			% entry.align;
+
+		padding = Buffer.alloc(size);
+		// Header ID               2 bytes
+		padding.writeUInt16LE(0xd935, 0);
+		// Data Size               2 bytes
+		padding.writeUInt16LE(size - 4, 2);
+		// Alignment               2 bytes    followed by zeros
+		padding.writeUInt16LE(entry.align, 4);
+	}
+
+	const extraFieldSize = entry.localExtraField.length + padding.length;
+
+	if (extraFieldSize + LOCAL_ZIP64_EXTENDED_INFORMATION_EXTRA_FIELD_SIZE > 0xffff) {
+		throw new Error('extra fields are too large to align the entry');
+	}
+
+	return padding;
+}
+
+function enqueue(self, task, isSkipped = () => false) {
+	if (!self.queue) {
+		return Promise.reject(new Error('Zip file has been finalized'));
+	}
+
+	const result = self.queue.then(task);
+
+	// a task that has been skipped rejects, but doesn't fail the archive
+	self.queue = result.catch(e => {
+		if (!isSkipped()) {
+			throw e;
+		}
 	});
 
-	return new Promise((resolve, reject) => {
-		stream.on('error', e => {
-			reject(e);
-		});
+	self.queue.catch(e => {
+		// the archive may have been aborted already
+		if (!self.destroyed) {
+			self.emit('error', e);
 
-		stream.on('end', () => {
-			entry.crc32 = crc32;
-			if (entry.uncompressedSize == null) {
-				entry.uncompressedSize = uncompressedSize;
-			} else if (entry.uncompressedSize !== uncompressedSize) {
-				throw new Error('file data stream has unexpected number of bytes');
-			}
+			self.destroy();
+		}
+	});
+
+	return result;
+}
+
+async function writeEntry(self, entry, load) {
+	const write = await load();
+
+	self.emit('entryStart', entry);
+
+	// data that is known in advance isn't written at all if it's a duplicate
+	if (linkDuplicate(self, entry)) {
+		return endEntry(self, entry);
+	}
+
+	const patchLocalFileHeader = self.outputFile != null && (
+		entry.crc32 == null || entry.compressedSize == null || entry.uncompressedSize == null
+	);
+
+	entry.alignmentPadding = getAlignmentPadding(entry, getVolumePosition(self).offset);
+	let localFileHeader = getLocalFileHeader(entry);
+
+	if (startRecord(self, localFileHeader.length)) {
+		// the padding depends on where the header is
+		entry.alignmentPadding = getAlignmentPadding(entry, getVolumePosition(self).offset);
+		localFileHeader = getLocalFileHeader(entry);
+		startRecord(self, localFileHeader.length);
+	}
+
+	const localFileHeaderPosition = self.outputStreamCursor;
+	const { volumeNumber, offset } = getVolumePosition(self, localFileHeaderPosition);
+
+	entry.diskNumberStart = volumeNumber;
+	entry.relativeOffsetOfLocalHeader = offset;
+	writeBuffer(self, localFileHeader);
+
+	const cursor = self.outputStreamCursor;
+
+	await write();
+
+	const compressedSize = self.outputStreamCursor - cursor;
+	if (entry.compressedSize == null) {
+		entry.compressedSize = compressedSize;
+	} else if (compressedSize !== entry.compressedSize) {
+		throw new Error('Unexpected compressed size');
+	}
+
+	// other data is discarded after it's been written, if it can be
+	if (self.outputFile && linkDuplicate(self, entry)) {
+		discardOutput(self, localFileHeaderPosition);
+
+		return endEntry(self, entry);
+	}
+
+	// the local file header has the ZIP64 extra field whenever the sizes might need it, so this is
+	// only a safeguard. readers only expect 8 byte sizes in the data descriptor if the header has the
+	// field, and the header can't grow when it's patched.
+	if (
+		!entry.localFileHeaderUsesZip64Format
+		&& (entry.compressedSize > 0xfffffffe || entry.uncompressedSize > 0xfffffffe)
+	) {
+		throw new Error(`entry is too large without forceZip64Format: ${entry.utf8FileName}`);
+	}
+
+	if (patchLocalFileHeader) {
+		// the header stays the same size, only crc and sizes change
+		writeFile(self, getLocalFileHeader(entry), localFileHeaderPosition);
+	}
+
+	const dataDescriptor = getDataDescriptor(entry);
+
+	startRecord(self, dataDescriptor.length);
+	writeBuffer(self, dataDescriptor);
+
+	const dataKey = getDataKey(self, entry);
+
+	if (dataKey != null && !self.entriesByData.has(dataKey)) {
+		self.entriesByData.set(dataKey, entry);
+		self.dataSizes.add(`${entry.digestAlgorithm}:${entry.uncompressedSize}`);
+	}
+
+	return endEntry(self, entry);
+}
+
+// leaves out the entry that failed from position on, or rethrows the error if it can't be left out
+function skipFailedEntry(self, entry, error, signal, position) {
+	// aborting is handled by the caller
+	if (!self.continueOnError || signal?.aborted || self.signal?.aborted) {
+		throw error;
+	}
+
+	// data that has been written to a stream can't be taken back
+	if (self.outputStreamCursor !== position) {
+		if (!self.outputFile) {
+			throw error;
+		}
+
+		discardOutput(self, position);
+	}
+
+	if (entry != null) {
+		self.entriesQueued--;
+		emitProgress(self);
+		self.releaseEntryName(entry);
+	}
+
+	self.failedEntries.push({ entry, error });
+	self.emit('entryError', entry, error);
+}
+
+function endEntry(self, entry) {
+	self.entriesDone++;
+	self.emit('entryEnd', entry);
+	emitProgress(self);
+
+	return entry;
+}
+
+// identifies the data of an entry in deduplicate mode, if it can be shared
+function getDataKey(self, entry) {
+	if (!self.deduplicate || entry.digest == null || entry.encryption) {
+		return null;
+	}
+
+	return `${entry.digestAlgorithm}:${entry.digest}:${entry.uncompressedSize}`;
+}
+
+// makes the entry point to the data of an earlier entry with the same data. returns whether there
+// is one.
+function linkDuplicate(self, entry) {
+	const dataKey = getDataKey(self, entry);
+	const original = dataKey == null ? null : self.entriesByData.get(dataKey);
+
+	if (original == null) {
+		return false;
+	}
+
+	// the central directory record must describe the data as it's in the local file header
+	entry.compress = original.compress;
+	entry.compressionMethod = original.compressionMethod;
+	entry.compressedSize = original.compressedSize;
+	entry.crc32 = original.crc32;
+	entry.crcAndFileSizeKnown = original.crcAndFileSizeKnown;
+	entry.diskNumberStart = original.diskNumberStart;
+	entry.relativeOffsetOfLocalHeader = original.relativeOffsetOfLocalHeader;
+
+	return true;
+}
+
+function addReadStreamEntry(self, getReadStream, metadataPath, options) {
+	metadataPath = validateMetadataPath(metadataPath, false);
+
+	const getSource = getReadStream;
+
+	getReadStream = async () => toReadStream(await getSource());
+
+	const entry = new FileEntry(metadataPath, {
+		...options,
+		...getCompressionOptions(options, metadataPath),
+		forceZip64Format: options.forceZip64Format ?? false
+	});
+
+	return addEntry(
+		self,
+		options.signal,
+		() => getFileStreamItem(self, entry, options, getReadStream)
+	);
+}
+
+// archive-wide entry options with the per-entry ones on top. aborting the archive also aborts all
+// of its entries.
+function getEntryOptions(self, options) {
+	const signals = [self.signal, options.signal].filter(signal => signal != null);
+
+	return {
+		...self.entryOptions,
+		...options,
+		signal: signals.length > 1 ? AbortSignal.any(signals) : signals[0]
+	};
+}
+
+// node streams are used as they are, other data sources are converted to them
+function toReadStream(source) {
+	if (source instanceof Stream) {
+		return source;
+	}
+
+	if (source instanceof Blob) {
+		return Readable.fromWeb(source.stream());
+	}
+
+	if (source instanceof ReadableStream) {
+		return Readable.fromWeb(source);
+	}
+
+	if (ArrayBuffer.isView(source)) {
+		return Readable.from([toBuffer(source)]);
+	}
+
+	if (source?.[Symbol.asyncIterator] == null && source?.[Symbol.iterator] == null) {
+		throw new Error('invalid data source');
+	}
+
+	// strings would otherwise be iterated character by character
+	if (typeof source === 'string') {
+		return Readable.from([Buffer.from(source)]);
+	}
+
+	return Readable.from((async function* toBuffers() {
+		for await (const chunk of source) {
+			yield typeof chunk === 'string' ? Buffer.from(chunk) : toBuffer(chunk);
+		}
+	}()));
+}
+
+function toBuffer(data) {
+	return Buffer.isBuffer(data) ? data : Buffer.from(data.buffer, data.byteOffset, data.byteLength);
+}
+
+// aborting destroys the source stream
+function withSignal(getReadStream, signal) {
+	if (!signal) {
+		return getReadStream;
+	}
+
+	return async () => addAbortSignal(signal, await getReadStream());
+}
+
+// resolves to `[stats, target]` where target is only set if the path is a symlink that's going to
+// be archived as one
+async function statFile(realPath, archiveSymlinks) {
+	if (!archiveSymlinks) {
+		return [await fs.promises.stat(realPath)];
+	}
+
+	const stats = await fs.promises.lstat(realPath);
+
+	if (stats.isSymbolicLink()) {
+		return [stats, await fs.promises.readlink(realPath)];
+	}
+
+	return [stats];
+}
+
+// the file must be the same as when its entry was created
+async function openFile(realPath, entry) {
+	const handle = await fs.promises.open(realPath);
+	let stats;
+
+	try {
+		stats = await handle.stat();
+	} catch (e) {
+		await handle.close();
+
+		throw e;
+	}
+
+	if (!stats.isFile() || stats.size !== entry.uncompressedSize) {
+		await handle.close();
+
+		throw new Error(`file changed while archiving: ${realPath}`);
+	}
+
+	return handle;
+}
+
+// the link target is stored as the entry data
+function getSymlinkItem(self, target, metadataPath, options) {
+	const data = Buffer.from(target);
+
+	const entry = new SymlinkEntry(metadataPath, {
+		...options,
+		crc32: crc32Unsigned(data),
+		size: data.length,
+		forceZip64Format: options.forceZip64Format ?? false
+	});
+
+	return [entry, () => () => writeEntryBuffer(self, entry, data)];
+}
+
+// compresses the data right away, which also makes its compressed size known in advance
+async function getBufferItem(self, buffer, metadataPath, options) {
+	let compressionOptions = getCompressionOptions(options, metadataPath);
+	let data = buffer;
+
+	if (compressionOptions.compress) {
+		data = await compressBuffer(compressionOptions, buffer);
+
+		if (options.compress === 'auto' && data.length >= buffer.length) {
+			compressionOptions = getCompressionOptions({ compress: false });
+			data = buffer;
+		}
+	}
+
+	const entry = new FileEntry(metadataPath, {
+		...options,
+		...compressionOptions,
+		forceZip64Format: options.forceZip64Format ?? false,
+		compressedSize: data.length,
+		crc32: crc32Unsigned(buffer),
+		size: buffer.length
+	});
+
+	if (entry.digestAlgorithm != null) {
+		entry.digest = crypto.createHash(entry.digestAlgorithm).update(buffer).digest('hex');
+	}
+
+	return [entry, () => () => writeEntryBuffer(self, entry, data)];
+}
+
+// in deduplicate mode, data that has been written to a stream can't be taken back once it turns out
+// to be a duplicate. so a file is hashed first, and not loaded at all if it's a duplicate.
+// read-ahead doesn't apply then.
+function getFileItem(self, entry, options, realPath) {
+	const getReadStream = async () => (await openFile(realPath, entry)).createReadStream();
+	const item = getFileStreamItem(self, entry, options, getReadStream);
+
+	if (
+		!self.deduplicate
+		|| self.outputFile
+		|| entry.digestAlgorithm == null
+		|| entry.encryption
+	) {
+		return item;
+	}
+
+	const [, load] = item;
+	const getSignalReadStream = withSignal(getReadStream, options.signal);
+
+	return [entry, async () => {
+		if (self.dataSizes.has(`${entry.digestAlgorithm}:${entry.uncompressedSize}`)) {
+			const hash = crypto.createHash(entry.digestAlgorithm);
+
+			for await (const chunk of await getSignalReadStream()) {
+				hash.update(chunk);
+			}
+
+			entry.digest = hash.digest('hex');
+
+			if (self.entriesByData.has(getDataKey(self, entry))) {
+				return () => {};
+			}
+		}
+
+		return load();
+	}];
+}
+
+// with `compress: 'auto'`, data that turns out to be small is compressed in advance, to see whether
+// compressing it pays off
+function getFileStreamItem(self, entry, options, getReadStream) {
+	getReadStream = withSignal(getReadStream, options.signal);
+
+	if (
+		options.compress !== 'auto'
+		|| !entry.compress
+		|| entry.uncompressedSize > AUTO_COMPRESSION_MAX_BUFFERED_SIZE
+	) {
+		return getEntryStreamItem(self, entry, getReadStream);
+	}
+
+	return [entry, async () => {
+		const [buffer, restOfStream] = await readSmallStream(
+			await getReadStream(),
+			AUTO_COMPRESSION_MAX_BUFFERED_SIZE
+		);
+
+		if (buffer == null) {
+			return () => pushEntryStream(self, entry, readEntryStream(entry, restOfStream));
+		}
+
+		if (entry.uncompressedSize != null && buffer.length !== entry.uncompressedSize) {
+			throw new Error('file data stream has unexpected number of bytes');
+		}
+
+		// under the name the entry ended up with, which may not be the one it was added with
+		const [bufferEntry, load] = await getBufferItem(
+			self,
+			buffer,
+			entry.utf8FileName.toString('utf-8'),
+			options
+		);
+
+		// the entry has been handed out already, so it's updated instead of being replaced
+		Object.assign(entry, bufferEntry);
+
+		return load();
+	}];
+}
+
+// resolves to `[buffer, null]` if the stream ends within maxSize bytes. otherwise resolves to
+// `[null, stream]` where stream has all of the data, including what was read already.
+async function readSmallStream(readStream, maxSize) {
+	const iterator = readStream[Symbol.asyncIterator]();
+	const chunks = [];
+	let size = 0;
+
+	while (size <= maxSize) {
+		const { done, value } = await iterator.next();
+
+		if (done) {
+			return [Buffer.concat(chunks), null];
+		}
+
+		chunks.push(value);
+		size += value.length;
+	}
+
+	return [null, Readable.from((async function* restOfStream() {
+		yield* chunks;
+		yield* { [Symbol.asyncIterator]: () => iterator };
+	})())];
+}
+
+function createFileEntry(realPath, metadataPath, options, stats) {
+	if (!stats.isFile()) {
+		throw new Error(`not a file: ${realPath}`);
+	}
+
+	return new FileEntry(metadataPath, {
+		...options,
+		...getStatsOptions(options, stats),
+		...getCompressionOptions(options, metadataPath),
+		forceZip64Format: options.forceZip64Format ?? false,
+		size: stats.size
+	});
+}
+
+// resolves the compression options of an entry whose data yazl compresses itself. with
+// `compress: 'auto'`, data in formats that are known to be compressed already is stored.
+function getCompressionOptions(options, metadataPath) {
+	const compress = options.compress === 'auto'
+		? !isCompressedFormat(metadataPath, options.mimeType)
+		: options.compress ?? true;
+	const compressionMethod = compress
+		? options.compressionMethod ?? DEFLATE_COMPRESSION
+		: NO_COMPRESSION;
+
+	if (compress && !compressionMethods.has(compressionMethod)) {
+		throw new Error(`unsupported compression method: ${compressionMethod}`);
+	}
+
+	return { compress, compressionMethod, compressionOptions: options.compressionOptions };
+}
+
+function isCompressedFormat(metadataPath, mimeType) {
+	if (mimeType != null) {
+		return COMPRESSED_MIME_TYPE.test(mimeType.toLowerCase());
+	}
+
+	const extension = /\.([^./]+)$/.exec(metadataPath)?.[1].toLowerCase();
+
+	return COMPRESSED_EXTENSIONS.has(extension);
+}
+
+function createCompressionStream(entry) {
+	return compressionMethods.get(entry.compressionMethod).createStream(entry.compressionOptions);
+}
+
+function compressBuffer({ compressionMethod, compressionOptions }, buffer) {
+	const chunks = [];
+
+	return new Promise((resolve, reject) => {
+		pipeline(
+			Readable.from([buffer]),
+			compressionMethods.get(compressionMethod).createStream(compressionOptions),
+			new Transform({
+				transform(chunk, encoding, cb) {
+					chunks.push(chunk);
+					cb();
+				}
+			}),
+			e => {
+				if (e) {
+					reject(e);
+
+					return;
+				}
+
+				resolve(Buffer.concat(chunks));
+			}
+		);
+	});
+}
+
+function getStatsOptions(options, stats) {
+	// timestamps and owners differ between otherwise identical files
+	if (options.reproducible) {
+		if (options.unixOwner) {
+			throw new Error('unixOwner can\'t be used in reproducible archives');
+		}
+
+		return {
+			mode: options.mode ?? stats.mode,
+			mtime: options.mtime,
+			atime: options.atime,
+			ctime: options.ctime,
+			uid: options.uid,
+			gid: options.gid
+		};
+	}
+
+	return {
+		mode: options.mode ?? stats.mode,
+		mtime: options.mtime ?? stats.mtime,
+		atime: options.atime ?? stats.atime,
+		// ctime is the creation time, not the inode change time of the stats. file systems that don't
+		// keep it report the epoch.
+		ctime: options.ctime ?? (stats.birthtimeMs > 0 ? stats.birthtime : undefined),
+		// owner is only archived if asked for
+		uid: options.uid ?? (options.unixOwner ? stats.uid : undefined),
+		gid: options.gid ?? (options.unixOwner ? stats.gid : undefined)
+	};
+}
+
+async function walkDirectory(self, realPath, metadataPrefix, options) {
+	const include = options.include?.map(globToRegExp);
+	const exclude = (options.exclude ?? []).map(globToRegExp);
+	const symlinks = options.symlinks ?? 'skip';
+
+	if (symlinks !== 'skip' && symlinks !== 'follow' && symlinks !== 'archive') {
+		throw new Error(`invalid symlinks option: ${symlinks}`);
+	}
+
+	// metadata comes from the files themselves
+	const {
+		mode, mtime, atime, ctime, uid, gid, fileComment, mimeType, ...entryOptions
+	} = options;
+
+	const rootStats = await fs.promises.stat(realPath);
+
+	if (!rootStats.isDirectory()) {
+		throw new Error(`not a directory: ${realPath}`);
+	}
+
+	// returns the items of a directory with the directory itself first, or an empty array if
+	// nothing in it (or the directory itself) is going to be archived
+	async function walk(directoryPath, relativePath, stats, ancestors) {
+		const items = [];
+
+		const names = (await fs.promises.readdir(directoryPath)).sort();
+
+		for (const name of names) {
+			const childPath = path.join(directoryPath, name);
+			let childStats = await fs.promises.lstat(childPath);
+
+			if (childStats.isSymbolicLink()) {
+				if (symlinks === 'skip') continue;
+
+				if (symlinks === 'archive') {
+					const childRelativePath = `${relativePath}${name}`;
+
+					if (!matches(childRelativePath, childStats)) continue;
+					if (include && !include.some(pattern => pattern.test(childRelativePath))) continue;
+
+					items.push(getSymlinkItem(
+						self,
+						await fs.promises.readlink(childPath),
+						validateMetadataPath(metadataPrefix + childRelativePath, false),
+						{ ...entryOptions, ...getStatsOptions(entryOptions, childStats) }
+					));
+
+					continue;
+				}
+
+				childStats = await fs.promises.stat(childPath);
+			}
+
+			if (childStats.isDirectory()) {
+				const childRelativePath = `${relativePath}${name}/`;
+
+				if (!matches(childRelativePath, childStats)) continue;
+
+				// following symlinks can lead back into a directory we're already in
+				if (ancestors.some(({ dev, ino }) => dev === childStats.dev && ino === childStats.ino)) {
+					throw new Error(`symlink cycle: ${childPath}`);
+				}
+
+				items.push(...await walk(
+					childPath,
+					childRelativePath,
+					childStats,
+					[...ancestors, childStats]
+				));
+			} else if (childStats.isFile()) {
+				const childRelativePath = `${relativePath}${name}`;
+
+				if (!matches(childRelativePath, childStats)) continue;
+				if (include && !include.some(pattern => pattern.test(childRelativePath))) continue;
+
+				const childOptions = { ...entryOptions, ...getStatsOptions(entryOptions, childStats) };
+				const childMetadataPath = validateMetadataPath(metadataPrefix + childRelativePath, false);
+				const entry = createFileEntry(childPath, childMetadataPath, childOptions, childStats);
+
+				items.push(getFileItem(self, entry, childOptions, childPath));
+			}
+		}
+
+		// empty directories are only archived when they're not being filtered by include patterns
+		if (items.length === 0 && include) {
+			return items;
+		}
+
+		if (metadataPrefix + relativePath !== '') {
+			items.unshift([
+				new DirectoryEntry(validateMetadataPath(metadataPrefix + relativePath, true), {
+					...entryOptions,
+					...getStatsOptions(entryOptions, stats)
+				}),
+				() => () => {}
+			]);
+		}
+
+		return items;
+	}
+
+	function matches(relativePath, stats) {
+		const pathWithoutSlash = relativePath.replace(/\/$/, '');
+
+		if (exclude.some(pattern => pattern.test(pathWithoutSlash))) return false;
+
+		return options.filter ? !!options.filter(relativePath, stats) : true;
+	}
+
+	const items = await walk(realPath, '', rootStats, [rootStats]);
+
+	// the parents of the prefix would otherwise be implicit. they may have been added already, e.g.
+	// by another addDirectory() with the same parent, in which case ZipFile skips them.
+	if (items.length > 0) {
+		const prefixComponents = metadataPrefix.split('/').slice(0, -2);
+
+		items.unshift(...prefixComponents.map((component, i) => {
+			const entry = new DirectoryEntry(`${prefixComponents.slice(0, i + 1).join('/')}/`, {
+				...entryOptions,
+				...getStatsOptions(entryOptions, rootStats)
+			});
+
+			entry.isImplicitParent = true;
+
+			return [entry, () => () => {}];
+		}));
+	}
+
+	return items;
+}
+
+async function writeEntryBuffer(self, entry, buffer) {
+	if (entry.encryption) {
+		buffer = await encryptBuffer(entry.encryption, getEncryptionCheckByte(entry), buffer);
+	}
+
+	writeBuffer(self, buffer);
+	emitEntryProgress(self, entry, entry.uncompressedSize, buffer.length);
+}
+
+// bytesRead is the number of bytes read from the source, which is compressed data for raw entries.
+// bytesWritten is the number of bytes of the entry data written to the output.
+function emitEntryProgress(self, entry, bytesRead, bytesWritten) {
+	self.emit('entryProgress', entry, { bytesRead, bytesWritten });
+	emitProgress(self);
+}
+
+function emitProgress(self) {
+	self.emit('progress', {
+		bytesWritten: self.outputStreamCursor,
+		entriesDone: self.entriesDone,
+		entriesQueued: self.entriesQueued
+	});
+}
+
+function writeBuffer(self, buffer) {
+	// data is split between volumes
+	const space = getVolumeSpace(self);
+
+	if (buffer.length > space) {
+		const flowing = writeBuffer(self, buffer.subarray(0, space));
+
+		startVolume(self);
+
+		return writeBuffer(self, buffer.subarray(space)) && flowing;
+	}
+
+	const flowing = self.outputFile
+		? writeFile(self, buffer, self.outputStreamCursor)
+		: self.push(buffer);
+
+	if (!flowing) {
+		self.outputFull = true;
+	}
+
+	self.outputStreamCursor += buffer.length;
+
+	return flowing;
+}
+
+function writeFile(self, buffer, position) {
+	const output = self.outputFile;
+	const { start, handle } = output.volumes.findLast(volume => volume.start <= position);
+
+	output.pendingSize += buffer.length;
+	output.written = output.written.then(async () => {
+		await (await handle).write(buffer, 0, buffer.length, position - start);
+
+		output.pendingSize -= buffer.length;
+
+		if (self.outputFull && output.pendingSize < self.readableHighWaterMark) {
+			resumeOutput(self);
+		}
+	});
+
+	output.written.catch(() => {});
+
+	return output.pendingSize < self.readableHighWaterMark;
+}
+
+// number of bytes that still fit in the current volume
+function getVolumeSpace(self) {
+	if (!self.outputFile) {
+		return Infinity;
+	}
+
+	const { volumeSize, volumes } = self.outputFile;
+
+	return volumes.at(-1).start + volumeSize - self.outputStreamCursor;
+}
+
+// records can't be split between volumes, so the next volume is started if the record doesn't
+// fit in the current one. returns whether it was.
+function startRecord(self, size) {
+	if (size <= getVolumeSpace(self)) {
+		return false;
+	}
+
+	if (size > self.outputFile.volumeSize) {
+		throw new Error(`record doesn't fit in a volume: ${size} > ${self.outputFile.volumeSize}`);
+	}
+
+	startVolume(self);
+
+	return true;
+}
+
+function startVolume(self) {
+	const output = self.outputFile;
+	const number = output.volumes.length;
+
+	if (number >= 0xffff) {
+		throw new Error('too many volumes');
+	}
+
+	let handle;
+
+	if (output.handle) {
+		handle = Promise.resolve(output.handle);
+	} else {
+		handle = fs.promises.open(
+			output.volumeSize === Infinity ? output.path : getVolumePath(output.path, number),
+			'w'
+		);
+	}
+
+	handle.catch(() => {});
+
+	output.volumes.push({ number, start: self.outputStreamCursor, handle });
+}
+
+// volume number and offset in the volume of a position in the archive
+function getVolumePosition(self, position = self.outputStreamCursor) {
+	const volume = self.outputFile?.volumes.findLast(({ start }) => start <= position);
+
+	return volume
+		? { volumeNumber: volume.number, offset: position - volume.start }
+		: { volumeNumber: 0, offset: position };
+}
+
+// data written after the position is overwritten by what's written next, and volumes that start
+// after it are removed at the end
+function discardOutput(self, position) {
+	const { volumes, discardedVolumes } = self.outputFile;
+
+	while (volumes.length > 1 && volumes.at(-1).start > position) {
+		discardedVolumes.push(volumes.pop());
+	}
+
+	self.outputStreamCursor = position;
+}
+
+// archive.zip is split into archive.z01, archive.z02, etc. and the last volume, archive.zip
+function getVolumePath(path, number) {
+	return `${path.replace(/\.zip$/i, '')}.z${String(number + 1).padStart(2, '0')}`;
+}
+
+// resolves once the consumer has asked for more data, if the output buffer is full
+function waitForRead(self) {
+	if (!self.outputFull) {
+		return Promise.resolve();
+	}
+
+	if (self.outputFile) {
+		// rejects if writing has failed
+		return self.outputFile.written;
+	}
+
+	return new Promise(resolve => {
+		self.readCallbacks.push(resolve);
+	});
+}
+
+function resumeOutput(self) {
+	const { readCallbacks } = self;
+
+	self.outputFull = false;
+	self.readCallbacks = [];
+
+	readCallbacks.forEach(callback => callback());
+}
+
+// starts reading, checksumming and compressing the entry data. the compressed data is buffered up
+// to highWaterMark bytes until it's pushed to the output with pushEntryStream()
+function readEntryStream(entry, readStream, highWaterMark) {
+	let uncompressedSize = 0;
+	let compressedSize = 0;
+	let crc32 = 0;
+	const hash = entry.digestAlgorithm == null ? null : crypto.createHash(entry.digestAlgorithm);
+	let stream;
+
+	const ended = new Promise((resolve, reject) => {
+		stream = pipeline(
+			readStream,
+			new Transform({
+				transform(chunk, encoding, cb) {
+					crc32 = crc32Unsigned(chunk, crc32);
+					hash?.update(chunk);
+					cb(null, chunk);
+				}
+			}),
+			new Transform({
+				transform(chunk, encoding, cb) {
+					uncompressedSize += chunk.length;
+					cb(null, chunk);
+				}
+			}),
+			entry.compress ? createCompressionStream(entry) : new PassThrough(),
+			entry.encryption
+				? createEncryptionStream(entry.encryption, getEncryptionCheckByte(entry))
+				: new PassThrough(),
+			new Transform({
+				readableHighWaterMark: highWaterMark,
+				transform(chunk, encoding, cb) {
+					compressedSize += chunk.length;
+					cb(null, chunk);
+				}
+			}),
+			e => {
+				if (e) {
+					reject(e);
+				}
+			}
+		);
+
+		stream.on('end', () => {
+			entry.crc32 = crc32;
+			if (hash) entry.digest = hash.digest('hex');
+			if (entry.uncompressedSize == null) {
+				entry.uncompressedSize = uncompressedSize;
+			} else if (entry.uncompressedSize !== uncompressedSize) {
+				reject(new Error('file data stream has unexpected number of bytes'));
+
+				return;
+			}
+
+			resolve(compressedSize);
+		});
+	});
+
+	ended.catch(() => {});
+
+	return { stream, ended, getBytesRead: () => uncompressedSize };
+}
+
+// like readEntryStream(), but the data is already compressed
+function readRawEntryStream(entry, readStream, highWaterMark) {
+	let bytesRead = 0;
+	let stream;
+
+	const ended = new Promise((resolve, reject) => {
+		stream = pipeline(
+			readStream,
+			new Transform({
+				transform(chunk, encoding, cb) {
+					bytesRead += chunk.length;
+					cb(null, chunk);
+				}
+			}),
+			entry.encryption
+				? createEncryptionStream(entry.encryption, getEncryptionCheckByte(entry))
+				: new PassThrough(),
+			new PassThrough({ readableHighWaterMark: highWaterMark }),
+			e => {
+				if (e) {
+					reject(e);
+				}
+			}
+		);
+
+		stream.on('end', () => {
+			resolve();
+		});
+	});
+
+	ended.catch(() => {});
+
+	return { stream, ended, getBytesRead: () => bytesRead };
+}
+
+async function pushEntryStream(self, entry, { stream, ended, getBytesRead }) {
+	let bytesWritten = 0;
+
+	stream.on('data', data => {
+		const flowing = writeBuffer(self, data);
+
+		bytesWritten += data.length;
+		emitEntryProgress(self, entry, getBytesRead(), bytesWritten);
 
-			self.outputStreamCursor += compressedSize;
+		if (!flowing) {
+			stream.pause();
 
-			resolve();
-		});
+			waitForRead(self).then(() => {
+				stream.resume();
+			}, e => {
+				stream.destroy(e);
+			});
+		}
 	});
+
+	await ended;
 }
 
+// offsets are relative to the volume they're on, the end of central directory records are on the
+// last one
 function getEndOfCentralDirectoryRecord(
 	{
 		entriesCount,
 		outputStreamCursor,
 		offsetOfStartOfCentralDirectory,
+		sizeOfCentralDirectory = outputStreamCursor - offsetOfStartOfCentralDirectory,
 		comment,
-		forceZip64Format
+		forceZip64Format,
+		volumeNumber = 0,
+		centralDirectoryVolumeNumber = 0,
+		volumeEntriesCount = entriesCount,
+		volumesCount = 1
 	},
 	actuallyJustTellMeHowLongItWouldBe
 ) {
 	let needZip64Format = false;
 	let normalEntriesLength = entriesCount;
+	let normalVolumeEntriesLength = volumeEntriesCount;
 	if (forceZip64Format || entriesCount >= 0xffff) {
 		normalEntriesLength = 0xffff;
+		normalVolumeEntriesLength = 0xffff;
 		needZip64Format = true;
 	}
-	const sizeOfCentralDirectory = outputStreamCursor - offsetOfStartOfCentralDirectory;
 	let normalSizeOfCentralDirectory = sizeOfCentralDirectory;
 	if (forceZip64Format || sizeOfCentralDirectory >= 0xffffffff) {
 		normalSizeOfCentralDirectory = 0xffffffff;
@@ -312,21 +1935,22 @@ function getEndOfCentralDirectoryRecord(
 				ZIP64_END_OF_CENTRAL_DIRECTORY_RECORD_SIZE
         + ZIP64_END_OF_CENTRAL_DIRECTORY_LOCATOR_SIZE
         + END_OF_CENTRAL_DIRECTORY_RECORD_SIZE
+        + comment.length
 			);
 		}
 
-		return END_OF_CENTRAL_DIRECTORY_RECORD_SIZE;
+		return END_OF_CENTRAL_DIRECTORY_RECORD_SIZE + comment.length;
 	}
 
 	const eocdrBuffer = Buffer.allocUnsafe(END_OF_CENTRAL_DIRECTORY_RECORD_SIZE + comment.length);
 	// end of central dir signature                       4 bytes  (0x06054b50)
 	eocdrBuffer.writeUInt32LE(0x06054b50, 0);
 	// number of this disk                                2 bytes
-	eocdrBuffer.writeUInt16LE(0, 4);
+	eocdrBuffer.writeUInt16LE(volumeNumber, 4);
 	// number of the disk with the start of the central directory  2 bytes
-	eocdrBuffer.writeUInt16LE(0, 6);
+	eocdrBuffer.writeUInt16LE(centralDirectoryVolumeNumber, 6);
 	// total number of entries in the central directory on this disk  2 bytes
-	eocdrBuffer.writeUInt16LE(normalEntriesLength, 8);
+	eocdrBuffer.writeUInt16LE(normalVolumeEntriesLength, 8);
 	// total number of entries in the central directory   2 bytes
 	eocdrBuffer.writeUInt16LE(normalEntriesLength, 10);
 	// size of the central directory                      4 bytes
@@ -353,11 +1977,11 @@ function getEndOfCentralDirectoryRecord(
 	// version needed to extract                                                      2 bytes
 	zip64EocdrBuffer.writeUInt16LE(VERSION_NEEDED_TO_EXTRACT_ZIP64, 14);
 	// number of this disk                                                            4 bytes
-	zip64EocdrBuffer.writeUInt32LE(0, 16);
+	zip64EocdrBuffer.writeUInt32LE(volumeNumber, 16);
 	// number of the disk with the start of the central directory                     4 bytes
-	zip64EocdrBuffer.writeUInt32LE(0, 20);
+	zip64EocdrBuffer.writeUInt32LE(centralDirectoryVolumeNumber, 20);
 	// total number of entries in the central directory on this disk                  8 bytes
-	writeUInt64LE(zip64EocdrBuffer, entriesCount, 24);
+	writeUInt64LE(zip64EocdrBuffer, volumeEntriesCount, 24);
 	// total number of entries in the central directory                               8 bytes
 	writeUInt64LE(zip64EocdrBuffer, entriesCount, 32);
 	// size of the central directory                                                  8 bytes
@@ -372,11 +1996,11 @@ function getEndOfCentralDirectoryRecord(
 	// zip64 end of central dir locator signature                               4 bytes  (0x07064b50)
 	zip64EocdlBuffer.writeUInt32LE(0x07064b50, 0);
 	// number of the disk with the start of the zip64 end of central directory  4 bytes
-	zip64EocdlBuffer.writeUInt32LE(0, 4);
+	zip64EocdlBuffer.writeUInt32LE(volumeNumber, 4);
 	// relative offset of the zip64 end of central directory record             8 bytes
 	writeUInt64LE(zip64EocdlBuffer, outputStreamCursor, 8);
 	// total number of disks                                                    4 bytes
-	zip64EocdlBuffer.writeUInt32LE(1, 16);
+	zip64EocdlBuffer.writeUInt32LE(volumesCount, 16);
 
 	return Buffer.concat([
 		zip64EocdrBuffer,
@@ -385,24 +2009,297 @@ function getEndOfCentralDirectoryRecord(
 	]);
 }
 
+async function readZipEntries(self, realPath, options) {
+	const handle = await fs.promises.open(realPath);
+
+	try {
+		const { size } = await handle.stat();
+		const records = await readCentralDirectory(handle, size);
+		const items = [];
+
+		for (const record of records) {
+			if (options.filter && !options.filter(record.fileName, record)) continue;
+
+			if (record.generalPurposeBitFlag & IS_ENCRYPTED) {
+				throw new Error(`copying encrypted entries is not supported: ${record.fileName}`);
+			}
+
+			const entryOptions = {
+				...options,
+				mtime: dosDateTimeToDate(record.lastModFileDate, record.lastModFileTime),
+				fileComment: record.fileComment,
+				forceZip64Format: options.forceZip64Format ?? false
+			};
+
+			// file attributes are only meaningful if they were made on unix
+			if (record.versionMadeBy >> 8 === 3) {
+				entryOptions.mode = record.externalFileAttributes >>> 16;
+			}
+
+			if (record.fileName.endsWith('/')) {
+				const metadataPath = validateMetadataPath(record.fileName, true);
+
+				items.push([new DirectoryEntry(metadataPath, entryOptions), () => () => {}]);
+
+				continue;
+			}
+
+			const entry = new FileEntry(validateMetadataPath(record.fileName, false), {
+				...entryOptions,
+				compressionMethod: record.compressionMethod,
+				compress: record.compressionMethod !== NO_COMPRESSION,
+				crc32: record.crc32,
+				size: record.uncompressedSize,
+				compressedSize: record.compressedSize
+			});
+
+			// the data starts after the local file header, whose variable size parts can differ from the
+			// central directory record
+			const localFileHeader = Buffer.allocUnsafe(LOCAL_FILE_HEADER_FIXED_SIZE);
+			await readFully(handle, localFileHeader, record.relativeOffsetOfLocalHeader);
+
+			if (localFileHeader.readUInt32LE(0) !== 0x04034b50) {
+				throw new Error(`invalid local file header signature: ${record.fileName}`);
+			}
+
+			const start = record.relativeOffsetOfLocalHeader
+				+ LOCAL_FILE_HEADER_FIXED_SIZE
+				+ localFileHeader.readUInt16LE(26)
+				+ localFileHeader.readUInt16LE(28);
+
+			if (record.compressedSize === 0) {
+				items.push([entry, () => () => {}]);
+			} else {
+				const getReadStream = withSignal(() => fs.createReadStream(realPath, {
+					start,
+					end: start + record.compressedSize - 1
+				}), options.signal);
+
+				items.push(getEntryStreamItem(self, entry, getReadStream, readRawEntryStream));
+			}
+		}
+
+		return items;
+	} finally {
+		await handle.close();
+	}
+}
+
+async function readCentralDirectory(handle, size) {
+	// the end of central directory record is at the end of the file, followed by a comment of up to
+	// 0xffff bytes
+	const eocdrSearchSize = Math.min(size, END_OF_CENTRAL_DIRECTORY_RECORD_SIZE + 0xffff);
+	const eocdrSearchBuffer = Buffer.allocUnsafe(eocdrSearchSize);
+	await readFully(handle, eocdrSearchBuffer, size - eocdrSearchSize);
+
+	let eocdrOffset = -1;
+	for (let i = eocdrSearchSize - END_OF_CENTRAL_DIRECTORY_RECORD_SIZE; i >= 0; i--) {
+		if (eocdrSearchBuffer.readUInt32LE(i) === 0x06054b50) {
+			eocdrOffset = i;
+
+			break;
+		}
+	}
+
+	if (eocdrOffset === -1) {
+		throw new Error('end of central directory record signature not found');
+	}
+
+	const eocdrBuffer = eocdrSearchBuffer.subarray(eocdrOffset);
+	let entriesCount = eocdrBuffer.readUInt16LE(10);
+	let sizeOfCentralDirectory = eocdrBuffer.readUInt32LE(12);
+	let offsetOfStartOfCentralDirectory = eocdrBuffer.readUInt32LE(16);
+
+	if (
+		entriesCount === 0xffff
+		|| sizeOfCentralDirectory === 0xffffffff
+		|| offsetOfStartOfCentralDirectory === 0xffffffff
+	) {
+		const zip64EocdlOffset = size - eocdrSearchSize + eocdrOffset
+			- ZIP64_END_OF_CENTRAL_DIRECTORY_LOCATOR_SIZE;
+		const zip64EocdlBuffer = Buffer.allocUnsafe(ZIP64_END_OF_CENTRAL_DIRECTORY_LOCATOR_SIZE);
+		await readFully(handle, zip64EocdlBuffer, zip64EocdlOffset);
+
+		if (zip64EocdlBuffer.readUInt32LE(0) !== 0x07064b50) {
+			throw new Error('zip64 end of central directory locator signature not found');
+		}
+
+		const zip64EocdrBuffer = Buffer.allocUnsafe(ZIP64_END_OF_CENTRAL_DIRECTORY_RECORD_SIZE);
+		await readFully(handle, zip64EocdrBuffer, readUInt64LE(zip64EocdlBuffer, 8));
+
+		if (zip64EocdrBuffer.readUInt32LE(0) !== 0x06064b50) {
+			throw new Error('invalid zip64 end of central directory record signature');
+		}
+
+		entriesCount = readUInt64LE(zip64EocdrBuffer, 32);
+		sizeOfCentralDirectory = readUInt64LE(zip64EocdrBuffer, 40);
+		offsetOfStartOfCentralDirectory = readUInt64LE(zip64EocdrBuffer, 48);
+	}
+
+	const buffer = Buffer.allocUnsafe(sizeOfCentralDirectory);
+	await readFully(handle, buffer, offsetOfStartOfCentralDirectory);
+
+	const records = [];
+	let offset = 0;
+
+	for (let i = 0; i < entriesCount; i++) {
+		if (buffer.readUInt32LE(offset) !== 0x02014b50) {
+			throw new Error('invalid central directory file header signature');
+		}
+
+		const fileNameLength = buffer.readUInt16LE(offset + 28);
+		const extraFieldLength = buffer.readUInt16LE(offset + 30);
+		const fileCommentLength = buffer.readUInt16LE(offset + 32);
+		const fileNameStart = offset + CENTRAL_DIRECTORY_RECORD_FIXED_SIZE;
+		const extraFieldStart = fileNameStart + fileNameLength;
+		const fileCommentStart = extraFieldStart + extraFieldLength;
+
+		const record = {
+			versionMadeBy: buffer.readUInt16LE(offset + 4),
+			generalPurposeBitFlag: buffer.readUInt16LE(offset + 8),
+			compressionMethod: buffer.readUInt16LE(offset + 10),
+			lastModFileTime: buffer.readUInt16LE(offset + 12),
+			lastModFileDate: buffer.readUInt16LE(offset + 14),
+			crc32: buffer.readUInt32LE(offset + 16),
+			compressedSize: buffer.readUInt32LE(offset + 20),
+			uncompressedSize: buffer.readUInt32LE(offset + 24),
+			externalFileAttributes: buffer.readUInt32LE(offset + 38),
+			relativeOffsetOfLocalHeader: buffer.readUInt32LE(offset + 42)
+		};
+
+		const fileName = buffer.subarray(fileNameStart, extraFieldStart);
+		record.fileName = record.generalPurposeBitFlag & FILE_NAME_IS_UTF8
+			? fileName.toString('utf-8')
+			: decodeCp437(fileName);
+		record.fileComment = Buffer.from(
+			buffer.subarray(fileCommentStart, fileCommentStart + fileCommentLength)
+		);
+
+		// ZIP64 extended information extra field only contains the fields that are 0xffffffff
+		for (let extraFieldOffset = extraFieldStart; extraFieldOffset + 4 <= fileCommentStart;) {
+			const headerId = buffer.readUInt16LE(extraFieldOffset);
+			const dataSize = buffer.readUInt16LE(extraFieldOffset + 2);
+			let dataOffset = extraFieldOffset + 4;
+
+			// Info-ZIP Unicode Path extra field, unless the name has been changed since it was made
+			if (
+				headerId === 0x7075
+				&& dataSize >= 5
+				&& buffer.readUInt8(dataOffset) === 1
+				&& buffer.readUInt32LE(dataOffset + 1) === crc32Unsigned(fileName)
+			) {
+				record.fileName = buffer.toString('utf-8', dataOffset + 5, extraFieldOffset + 4 + dataSize);
+			}
+
+			if (headerId === 0x0001) {
+				for (const field of ['uncompressedSize', 'compressedSize', 'relativeOffsetOfLocalHeader']) {
+					if (record[field] === 0xffffffff) {
+						record[field] = readUInt64LE(buffer, dataOffset);
+						dataOffset += 8;
+					}
+				}
+			}
+
+			extraFieldOffset += 4 + dataSize;
+		}
+
+		records.push(record);
+		offset = fileCommentStart + fileCommentLength;
+	}
+
+	return records;
+}
+
+async function readFully(handle, buffer, position) {
+	let offset = 0;
+
+	while (offset < buffer.length) {
+		const { bytesRead } = await handle.read(
+			buffer,
+			offset,
+			buffer.length - offset,
+			position + offset
+		);
+
+		if (bytesRead === 0) {
+			throw new Error('unexpected end of file');
+		}
+
+		offset += bytesRead;
+	}
+}
+
+// invalid names are errors of the caller, so an entry with one doesn't fail the archive, even when
+// it's only found while the entries are prepared, e.g. in a directory
+class InvalidPathError extends Error {}
+
 function validateMetadataPath(metadataPath, isDirectory) {
-	if (metadataPath === '') throw new Error('empty metadataPath');
+	if (metadataPath === '') throw new InvalidPathError('empty metadataPath');
 	metadataPath = metadataPath.replace(/\\/g, '/');
-	if (/^[a-zA-Z]:/.test(metadataPath) || /^\//.test(metadataPath)) throw new Error(`absolute path: ${metadataPath}`);
-	if (metadataPath.split('/').indexOf('..') !== -1) throw new Error(`invalid relative path: ${metadataPath}`);
+	if (/^[a-zA-Z]:/.test(metadataPath) || /^\//.test(metadataPath)) throw new InvalidPathError(`absolute path: ${metadataPath}`);
+	if (metadataPath.split('/').indexOf('..') !== -1) throw new InvalidPathError(`invalid relative path: ${metadataPath}`);
+	// names that can't be extracted on Windows
+	for (const component of metadataPath.split('/')) {
+		// eslint-disable-next-line no-control-regex
+		if (/[<>:"|?*\x00-\x1f]/.test(component)) throw new InvalidPathError(`invalid character in path: ${metadataPath}`);
+		if (/^(?:con|prn|aux|nul|com[1-9]|lpt[1-9])(?:\.|$)/i.test(component)) throw new InvalidPathError(`reserved name in path: ${metadataPath}`);
+		if (component !== '.' && /[. ]$/.test(component)) throw new InvalidPathError(`path component ends with '.' or ' ': ${metadataPath}`);
+	}
 	const looksLikeDirectory = /\/$/.test(metadataPath);
 	if (isDirectory) {
 		// append a trailing '/' if necessary.
 		if (!looksLikeDirectory) metadataPath += '/';
-	} else if (looksLikeDirectory) throw new Error(`file path cannot end with '/': ${metadataPath}`);
+	} else if (looksLikeDirectory) throw new InvalidPathError(`file path cannot end with '/': ${metadataPath}`);
 
 	return metadataPath;
 }
 
+function getArchiveComment(options) {
+	if (options.comment == null) {
+		return EMPTY_BUFFER;
+	}
+
+	const comment = typeof options.comment === 'string'
+		? encodeArchiveComment(options.comment)
+		: options.comment;
+
+	if (comment.length > 0xffff) {
+		throw new Error('comment is too large');
+	}
+
+	// gotta check for this, because the zipfile format is actually ambiguous.
+	if (comment.includes(eocdrSignatureBuffer)) {
+		throw new Error('comment contains end of central directory record signature');
+	}
+
+	return comment;
+}
+
+function useZip64Format(entry, relativeOffsetOfLocalHeader = entry.relativeOffsetOfLocalHeader) {
+	return entry.forceZip64Format
+		|| entry.uncompressedSize > 0xfffffffe
+		|| entry.compressedSize > 0xfffffffe
+		|| relativeOffsetOfLocalHeader > 0xfffffffe;
+}
+
+function getCentralDirectoryRecordSize(
+	entry,
+	relativeOffsetOfLocalHeader = entry.relativeOffsetOfLocalHeader
+) {
+	return CENTRAL_DIRECTORY_RECORD_FIXED_SIZE
+		+ entry.encodedFileName.length
+		+ (useZip64Format(entry, relativeOffsetOfLocalHeader)
+			? ZIP64_EXTENDED_INFORMATION_EXTRA_FIELD_SIZE
+			: 0)
+		+ entry.centralExtraField.length
+		+ entry.fileComment.length;
+}
+
 function getCentralDirectoryRecord(entry) {
 	const fixedSizeStuff = Buffer.allocUnsafe(CENTRAL_DIRECTORY_RECORD_FIXED_SIZE);
-	let generalPurposeBitFlag = FILE_NAME_IS_UTF8;
+	let generalPurposeBitFlag = entry.fileNameIsUtf8 ? FILE_NAME_IS_UTF8 : 0;
 	if (!entry.crcAndFileSizeKnown) generalPurposeBitFlag |= UNKNOWN_CRC32_AND_FILE_SIZES;
+	if (entry.encryption) generalPurposeBitFlag |= IS_ENCRYPTED;
 
 	let normalCompressedSize = entry.compressedSize;
 	let normalUncompressedSize = entry.uncompressedSize;
@@ -410,12 +2307,7 @@ function getCentralDirectoryRecord(entry) {
 	let versionNeededToExtract;
 	let zeiefBuffer;
 
-	const useZip64Format = entry.forceZip64Format
-		|| entry.uncompressedSize > 0xfffffffe
-		|| entry.compressedSize > 0xfffffffe
-		|| entry.relativeOffsetOfLocalHeader > 0xfffffffe;
-
-	if (useZip64Format) {
+	if (useZip64Format(entry)) {
 		normalCompressedSize = 0xffffffff;
 		normalUncompressedSize = 0xffffffff;
 		normalRelativeOffsetOfLocalHeader = 0xffffffff;
@@ -440,6 +2332,15 @@ function getCentralDirectoryRecord(entry) {
 		zeiefBuffer = EMPTY_BUFFER;
 	}
 
+	if (entry.encryption?.method === 'aes-256') {
+		versionNeededToExtract = VERSION_NEEDED_TO_EXTRACT_AES;
+	}
+
+	versionNeededToExtract = Math.max(
+		versionNeededToExtract,
+		compressionMethods.get(entry.compressionMethod)?.versionNeededToExtract ?? 0
+	);
+
 	// central file header signature   4 bytes  (0x02014b50)
 	fixedSizeStuff.writeUInt32LE(0x02014b50, 0);
 	// version made by                 2 bytes
@@ -449,26 +2350,25 @@ function getCentralDirectoryRecord(entry) {
 	// general purpose bit flag        2 bytes
 	fixedSizeStuff.writeUInt16LE(generalPurposeBitFlag, 8);
 	// compression method              2 bytes
-	// eslint-disable-next-line max-len
-	fixedSizeStuff.writeUInt16LE(entry.compress ? 8 /* DEFLATE_COMPRESSION */ : 0 /* NO_COMPRESSION */, 10);
+	fixedSizeStuff.writeUInt16LE(getStoredCompressionMethod(entry), 10);
 	// last mod file time              2 bytes
 	fixedSizeStuff.writeUInt16LE(entry.lastModFileTime, 12);
 	// last mod file date              2 bytes
 	fixedSizeStuff.writeUInt16LE(entry.lastModFileDate, 14);
 	// crc-32                          4 bytes
-	fixedSizeStuff.writeUInt32LE(entry.crc32, 16);
+	fixedSizeStuff.writeUInt32LE(getStoredCrc32(entry), 16);
 	// compressed size                 4 bytes
 	fixedSizeStuff.writeUInt32LE(normalCompressedSize, 20);
 	// uncompressed size               4 bytes
 	fixedSizeStuff.writeUInt32LE(normalUncompressedSize, 24);
 	// file name length                2 bytes
-	fixedSizeStuff.writeUInt16LE(entry.utf8FileName.length, 28);
+	fixedSizeStuff.writeUInt16LE(entry.encodedFileName.length, 28);
 	// extra field length              2 bytes
-	fixedSizeStuff.writeUInt16LE(zeiefBuffer.length, 30);
+	fixedSizeStuff.writeUInt16LE(zeiefBuffer.length + entry.centralExtraField.length, 30);
 	// file comment length             2 bytes
 	fixedSizeStuff.writeUInt16LE(entry.fileComment.length, 32);
 	// disk number start               2 bytes
-	fixedSizeStuff.writeUInt16LE(0, 34);
+	fixedSizeStuff.writeUInt16LE(entry.diskNumberStart, 34);
 	// internal file attributes        2 bytes
 	fixedSizeStuff.writeUInt16LE(0, 36);
 	// external file attributes        4 bytes
@@ -479,37 +2379,90 @@ function getCentralDirectoryRecord(entry) {
 	return Buffer.concat([
 		fixedSizeStuff,
 		// file name (variable size)
-		entry.utf8FileName,
+		entry.encodedFileName,
 		// extra field (variable size)
 		zeiefBuffer,
+		entry.centralExtraField,
 		// file comment (variable size)
 		entry.fileComment
 	]);
 }
 
+// AES encrypted entries have the actual compression method in the AES extra field
+function getStoredCompressionMethod(entry) {
+	return entry.encryption?.method === 'aes-256' ? AES_COMPRESSION_METHOD : entry.compressionMethod;
+}
+
+// AE-2 doesn't store crc
+function getStoredCrc32(entry) {
+	return entry.encryption?.aesVersion === 2 ? 0 : entry.crc32;
+}
+
+function getEncryptionCheckByte(entry) {
+	return entry.crcAndFileSizeKnown
+		? entry.crc32 >>> 24
+		: (entry.lastModFileTime >> 8) & 0xff;
+}
+
 function getLocalFileHeader(entry) {
 	let crc32 = 0;
 	let compressedSize = 0;
 	let uncompressedSize = 0;
 	if (entry.crcAndFileSizeKnown) {
-		crc32 = entry.crc32;
-		compressedSize = entry.compressedSize;
-		uncompressedSize = entry.uncompressedSize;
+		// when writing to a file, these can be unknown until the header is patched
+		crc32 = getStoredCrc32(entry) ?? 0;
+		compressedSize = entry.compressedSize ?? 0;
+		uncompressedSize = entry.uncompressedSize ?? 0;
+	}
+
+	let normalCompressedSize = compressedSize;
+	let normalUncompressedSize = uncompressedSize;
+	let versionNeededToExtract;
+	let zeiefBuffer;
+
+	if (entry.localFileHeaderUsesZip64Format) {
+		normalCompressedSize = 0xffffffff;
+		normalUncompressedSize = 0xffffffff;
+		versionNeededToExtract = VERSION_NEEDED_TO_EXTRACT_ZIP64;
+
+		// ZIP64 extended information extra field. unlike in the central directory, both sizes must be
+		// present, but offset of the local header must not.
+		zeiefBuffer = Buffer.allocUnsafe(LOCAL_ZIP64_EXTENDED_INFORMATION_EXTRA_FIELD_SIZE);
+		// 0x0001                  2 bytes    Tag for this "extra" block type
+		zeiefBuffer.writeUInt16LE(0x0001, 0);
+		// Size                    2 bytes    Size of this "extra" block
+		zeiefBuffer.writeUInt16LE(LOCAL_ZIP64_EXTENDED_INFORMATION_EXTRA_FIELD_SIZE - 4, 2);
+		// Original Size           8 bytes    Original uncompressed file size
+		writeUInt64LE(zeiefBuffer, uncompressedSize, 4);
+		// Compressed Size         8 bytes    Size of compressed data
+		writeUInt64LE(zeiefBuffer, compressedSize, 12);
+	} else {
+		versionNeededToExtract = VERSION_NEEDED_TO_EXTRACT_UTF8;
+		zeiefBuffer = EMPTY_BUFFER;
+	}
+
+	if (entry.encryption?.method === 'aes-256') {
+		versionNeededToExtract = VERSION_NEEDED_TO_EXTRACT_AES;
 	}
 
+	versionNeededToExtract = Math.max(
+		versionNeededToExtract,
+		compressionMethods.get(entry.compressionMethod)?.versionNeededToExtract ?? 0
+	);
+
 	const fixedSizeStuff = Buffer.allocUnsafe(LOCAL_FILE_HEADER_FIXED_SIZE);
-	let generalPurposeBitFlag = FILE_NAME_IS_UTF8;
+	let generalPurposeBitFlag = entry.fileNameIsUtf8 ? FILE_NAME_IS_UTF8 : 0;
 	if (!entry.crcAndFileSizeKnown) generalPurposeBitFlag |= UNKNOWN_CRC32_AND_FILE_SIZES;
+	if (entry.encryption) generalPurposeBitFlag |= IS_ENCRYPTED;
 
 	// local file header signature     4 bytes  (0x04034b50)
 	fixedSizeStuff.writeUInt32LE(0x04034b50, 0);
 	// version needed to extract       2 bytes
-	fixedSizeStuff.writeUInt16LE(VERSION_NEEDED_TO_EXTRACT_UTF8, 4);
+	fixedSizeStuff.writeUInt16LE(versionNeededToExtract, 4);
 	// general purpose bit flag        2 bytes
 	fixedSizeStuff.writeUInt16LE(generalPurposeBitFlag, 6);
 	// compression method              2 bytes
-	// eslint-disable-next-line max-len
-	fixedSizeStuff.writeUInt16LE(entry.compress ? 8 /* DEFLATE_COMPRESSION */ : 0 /* NO_COMPRESSION */, 8);
+	fixedSizeStuff.writeUInt16LE(getStoredCompressionMethod(entry), 8);
 	// last mod file time              2 bytes
 	fixedSizeStuff.writeUInt16LE(entry.lastModFileTime, 10);
 	// last mod file date              2 bytes
@@ -517,40 +2470,51 @@ function getLocalFileHeader(entry) {
 	// crc-32                          4 bytes
 	fixedSizeStuff.writeUInt32LE(crc32, 14);
 	// compressed size                 4 bytes
-	fixedSizeStuff.writeUInt32LE(compressedSize, 18);
+	fixedSizeStuff.writeUInt32LE(normalCompressedSize, 18);
 	// uncompressed size               4 bytes
-	fixedSizeStuff.writeUInt32LE(uncompressedSize, 22);
+	fixedSizeStuff.writeUInt32LE(normalUncompressedSize, 22);
 	// file name length                2 bytes
-	fixedSizeStuff.writeUInt16LE(entry.utf8FileName.length, 26);
+	fixedSizeStuff.writeUInt16LE(entry.encodedFileName.length, 26);
 	// extra field length              2 bytes
-	fixedSizeStuff.writeUInt16LE(0, 28);
+	fixedSizeStuff.writeUInt16LE(
+		zeiefBuffer.length + entry.localExtraField.length + entry.alignmentPadding.length,
+		28
+	);
 
 	return Buffer.concat([
 		fixedSizeStuff,
 		// file name (variable size)
-		entry.utf8FileName
+		entry.encodedFileName,
 		// extra field (variable size)
-		// no extra fields
+		zeiefBuffer,
+		entry.localExtraField,
+		entry.alignmentPadding
 	]);
 }
 
+function getDataDescriptorSize(entry) {
+	if (entry.crcAndFileSizeKnown) {
+		return 0;
+	}
+
+	// sizes in the data descriptor are 8 bytes if the local file header has the ZIP64 extra field
+	return entry.localFileHeaderUsesZip64Format
+		? ZIP64_DATA_DESCRIPTOR_SIZE
+		: DATA_DESCRIPTOR_SIZE;
+}
+
 function getDataDescriptor(entry) {
 	if (entry.crcAndFileSizeKnown) {
 		// the Mac Archive Utility requires this not be present unless we set general purpose bit 3
 		return EMPTY_BUFFER;
 	}
 
-	const useZip64Format = entry.forceZip64Format
-		|| entry.uncompressedSize > 0xfffffffe
-		|| entry.compressedSize > 0xfffffffe
-		|| entry.relativeOffsetOfLocalHeader > 0xfffffffe;
-
-	if (!useZip64Format) {
+	if (!entry.localFileHeaderUsesZip64Format) {
 		const buffer = Buffer.allocUnsafe(DATA_DESCRIPTOR_SIZE);
 		// optional signature (required according to Archive Utility)
 		buffer.writeUInt32LE(0x08074b50, 0);
 		// crc-32                          4 bytes
-		buffer.writeUInt32LE(entry.crc32, 4);
+		buffer.writeUInt32LE(getStoredCrc32(entry), 4);
 		// compressed size                 4 bytes
 		buffer.writeUInt32LE(entry.compressedSize, 8);
 		// uncompressed size               4 bytes
@@ -564,7 +2528,7 @@ function getDataDescriptor(entry) {
 	// optional signature (unknown if anyone cares about this)
 	buffer.writeUInt32LE(0x08074b50, 0);
 	// crc-32                          4 bytes
-	buffer.writeUInt32LE(entry.crc32, 4);
+	buffer.writeUInt32LE(getStoredCrc32(entry), 4);
 	// compressed size                 8 bytes
 	writeUInt64LE(buffer, entry.compressedSize, 8);
 	// uncompressed size               8 bytes
@@ -576,10 +2540,12 @@ function getDataDescriptor(entry) {
 // this class is not part of the public API
 class Entry {
 	constructor(metadataPath, options) {
-		this.utf8FileName = Buffer.from(metadataPath);
-		if (this.utf8FileName.length > 0xffff) throw new Error(`utf8 file name too long. ${this.utf8FileName.length} > ${0xffff}`);
+		const nameEncoding = validateNameEncoding(options.nameEncoding ?? 'utf8');
+		this.nameEncoding = nameEncoding;
+		this.fileNameIsUtf8 = nameEncoding === 'utf8';
 
-		const dosDateTime = dateToDosDateTime(options.mtime ?? new Date());
+		const mtime = options.mtime ?? (options.reproducible ? getReproducibleTime() : new Date());
+		const dosDateTime = dateToDosDateTime(mtime);
 		this.lastModFileTime = dosDateTime.time;
 		this.lastModFileDate = dosDateTime.date;
 
@@ -587,27 +2553,182 @@ class Entry {
 			throw new Error(`invalid mode. expected: 0 <= ${options.mode} <= ${0xffff}`);
 		}
 
-		this.externalFileAttributes = (options.mode << 16) >>> 0;
+		const mode = options.reproducible ? getReproducibleMode(options.mode) : options.mode;
+
+		this.externalFileAttributes = (mode << 16) >>> 0;
 		this.crc32 = options.crc32;
 		this.uncompressedSize = options.size;
-		this.compressedSize = options.compressedSize;
 		this.compress = !!options.compress;
+		this.compressionMethod = this.compress
+			? options.compressionMethod ?? DEFLATE_COMPRESSION
+			: NO_COMPRESSION;
+		this.compressionOptions = options.compressionOptions;
+		// media type of the data. besides deciding `compress: 'auto'`, it goes in the manifests of
+		// container formats.
+		this.mimeType = options.mimeType;
+		// hex digest of the uncompressed data, once it's been read. only known for data that yazl
+		// compresses itself, not for raw entries.
+		this.digestAlgorithm = options.digest;
+		this.digest = null;
+
+		if (this.digestAlgorithm != null && !DIGEST_ALGORITHMS.has(this.digestAlgorithm)) {
+			throw new Error(`unsupported digest: ${this.digestAlgorithm}`);
+		}
+		// data of stored entries starts at a multiple of align bytes. the local file header is padded
+		// with Android's alignment extra field, or with zeros.
+		this.align = options.align;
+		this.alignPadding = options.alignPadding ?? 'android';
+		this.alignmentPadding = EMPTY_BUFFER;
+
+		if (
+			this.align != null
+			&& !(Number.isInteger(this.align) && this.align > 0 && this.align <= 0xffff)
+		) {
+			throw new Error(`invalid align: ${this.align}`);
+		}
+
+		if (this.alignPadding !== 'android' && this.alignPadding !== 'zeros') {
+			throw new Error(`invalid alignPadding: ${this.alignPadding}`);
+		}
+		this.encryption = getEncryption(options);
+		if (this.encryption && options.reproducible) {
+			// the salt or the header of the encrypted data is random
+			throw new Error('encrypted entries can\'t be used in reproducible archives');
+		}
+		// stored data is as large as the original data
+		this.compressedSize = options.compressedSize
+			?? (this.compress ? undefined : this.uncompressedSize);
+		if (this.encryption && this.compressedSize != null) {
+			this.compressedSize += getEncryptionOverhead(this.encryption);
+		}
 		this.crcAndFileSizeKnown = this.crc32 != null
 			&& this.uncompressedSize != null
 			&& this.compressedSize != null;
 		this.forceZip64Format = !!options.forceZip64Format;
+		// sizes of streamed data aren't known in advance. if they might not fit in 4 bytes, the local
+		// file header has the ZIP64 extra field, with zero sizes until they're known, like Info-ZIP
+		// does for streams. readers only expect 8 byte sizes in the data descriptor then. compressed
+		// data can be a little larger than the original.
+		this.localFileHeaderUsesZip64Format = this.forceZip64Format
+			|| this.uncompressedSize == null
+			|| this.uncompressedSize > 0xfffffffe
+			|| (
+				this.compressedSize
+				?? this.uncompressedSize + Math.ceil(this.uncompressedSize / 1024) + 1024
+			) > 0xfffffffe;
 		this.fileComment = EMPTY_BUFFER;
+		let unicodeFileComment = null;
 
 		if (options.fileComment != null) {
-			this.fileComment = typeof options.fileComment === 'string'
-				? Buffer.from(options.fileComment, 'utf-8')
-				: options.fileComment;
+			if (typeof options.fileComment === 'string') {
+				[this.fileComment, unicodeFileComment] = encodeText(
+					options.fileComment,
+					nameEncoding,
+					'file comment'
+				);
+			} else {
+				this.fileComment = options.fileComment;
+			}
 
 			if (this.fileComment.length > 0xffff) {
 				throw new Error('File comment is too large');
 			}
 		}
+
+		const localExtraFields = [];
+		const centralExtraFields = [];
+
+		// comments are only in the central directory
+		if (unicodeFileComment != null) {
+			centralExtraFields.push(getExtraField(
+				0x6375,
+				getUnicodeExtraFieldData(this.fileComment, unicodeFileComment)
+			));
+		}
+
+		if (options.extendedTimestamp) {
+			const [local, central] = getExtendedTimestampExtraFields(mtime, options.atime, options.ctime);
+
+			localExtraFields.push(local);
+			centralExtraFields.push(central);
+		}
+
+		if (options.uid != null || options.gid != null) {
+			const extraField = getUnixOwnerExtraField(options.uid, options.gid);
+
+			localExtraFields.push(extraField);
+			centralExtraFields.push(extraField);
+		}
+
+		if (this.encryption?.method === 'aes-256') {
+			const extraField = getExtraField(
+				0x9901,
+				getAesExtraFieldData(this.encryption, this.compressionMethod)
+			);
+
+			localExtraFields.push(extraField);
+			centralExtraFields.push(extraField);
+		}
+
+		for (const { id, data } of options.extraFields ?? []) {
+			if ((id & 0xffff) !== id) {
+				throw new Error(`invalid extra field id: ${id}`);
+			}
+
+			const extraField = getExtraField(id, data);
+
+			localExtraFields.push(extraField);
+			centralExtraFields.push(extraField);
+		}
+
+		this.localExtraField = Buffer.concat(localExtraFields);
+		this.centralExtraField = Buffer.concat(centralExtraFields);
+		this.unicodePathExtraField = EMPTY_BUFFER;
+
+		setEntryName(this, metadataPath);
+	}
+}
+
+// the name is set apart from the rest of the entry, so that the entry can be renamed before it's
+// written
+function setEntryName(entry, metadataPath) {
+	const utf8FileName = Buffer.from(metadataPath);
+	if (utf8FileName.length > 0xffff) throw new Error(`utf8 file name too long. ${utf8FileName.length} > ${0xffff}`);
+
+	// the name as it's in the headers, which is utf8FileName unless it's encoded in CP437
+	const [encodedFileName, unicodeFileName] = encodeText(
+		metadataPath,
+		entry.nameEncoding,
+		'file name'
+	);
+
+	const unicodePathExtraField = unicodeFileName == null
+		? EMPTY_BUFFER
+		: getExtraField(0x7075, getUnicodeExtraFieldData(encodedFileName, unicodeFileName));
+
+	// the Unicode Path extra field comes first
+	const localExtraField = Buffer.concat([
+		unicodePathExtraField,
+		entry.localExtraField.subarray(entry.unicodePathExtraField.length)
+	]);
+	const centralExtraField = Buffer.concat([
+		unicodePathExtraField,
+		entry.centralExtraField.subarray(entry.unicodePathExtraField.length)
+	]);
+
+	// leave room for the ZIP64 extended information extra field
+	if (
+		localExtraField.length + LOCAL_ZIP64_EXTENDED_INFORMATION_EXTRA_FIELD_SIZE > 0xffff
+		|| centralExtraField.length + ZIP64_EXTENDED_INFORMATION_EXTRA_FIELD_SIZE > 0xffff
+	) {
+		throw new Error('extra fields are too large');
 	}
+
+	entry.utf8FileName = utf8FileName;
+	entry.encodedFileName = encodedFileName;
+	entry.unicodePathExtraField = unicodePathExtraField;
+	entry.localExtraField = localExtraField;
+	entry.centralExtraField = centralExtraField;
 }
 
 class DirectoryEntry extends Entry {
@@ -615,8 +2736,9 @@ class DirectoryEntry extends Entry {
 		super(metadataPath, {
 			...options,
 			mode: options.mode ?? 0o40775,
+			password: null,
 			crc32: 0,
-			uncompressedSize: 0,
+			size: 0,
 			compressedSize: 0,
 			compress: false
 		});
@@ -632,6 +2754,114 @@ class FileEntry extends Entry {
 	}
 }
 
+class SymlinkEntry extends Entry {
+	constructor(metadataPath, options = {}) {
+		super(metadataPath, {
+			...options,
+			mode: S_IFLNK | ((options.mode ?? 0o777) & 0o7777),
+			compress: false
+		});
+	}
+}
+
+function getExtraField(id, data) {
+	if (data.length > 0xffff) {
+		throw new Error(`extra field is too large: ${data.length} > ${0xffff}`);
+	}
+
+	const header = Buffer.allocUnsafe(4);
+	// Header ID               2 bytes
+	header.writeUInt16LE(id, 0);
+	// Data Size               2 bytes
+	header.writeUInt16LE(data.length, 2);
+
+	return Buffer.concat([header, data]);
+}
+
+// Info-ZIP extended timestamp extra field. the central directory version only has the
+// modification time, but the flags tell which times are present in the local version.
+function getExtendedTimestampExtraFields(mtime, atime, ctime) {
+	const times = [mtime, atime, ctime];
+	let flags = 0;
+	const localTimes = [];
+
+	times.forEach((time, i) => {
+		if (time == null) return;
+
+		const seconds = Math.floor(time.getTime() / 1000);
+
+		if (seconds < -0x80000000 || seconds > 0x7fffffff) {
+			throw new Error(`time is out of range for extended timestamp: ${time.toISOString()}`);
+		}
+
+		flags |= 1 << i;
+		localTimes.push(seconds);
+	});
+
+	const local = Buffer.allocUnsafe(1 + 4 * localTimes.length);
+	// Flags                   1 byte     info bits
+	local.writeUInt8(flags, 0);
+	// (ModTime, AcTime, CrTime) 4 bytes each, seconds since epoch
+	localTimes.forEach((seconds, i) => {
+		local.writeInt32LE(seconds, 1 + 4 * i);
+	});
+
+	return [
+		getExtraField(0x5455, local),
+		getExtraField(0x5455, local.subarray(0, 5))
+	];
+}
+
+// Info-ZIP "new" Unix extra field with 4-byte UID and GID
+function getUnixOwnerExtraField(uid, gid) {
+	if (uid == null || gid == null) {
+		throw new Error('both uid and gid must be provided');
+	}
+
+	const data = Buffer.allocUnsafe(11);
+	// Version                 1 byte     version of this extra field, currently 1
+	data.writeUInt8(1, 0);
+	// UIDSize                 1 byte     Size of UID field
+	data.writeUInt8(4, 1);
+	// UID                     Variable   UID for this entry
+	data.writeUInt32LE(uid, 2);
+	// GIDSize                 1 byte     Size of GID field
+	data.writeUInt8(4, 6);
+	// GID                     Variable   GID for this entry
+	data.writeUInt32LE(gid, 7);
+
+	return getExtraField(0x7875, data);
+}
+
+// SOURCE_DATE_EPOCH is the convention for pinning timestamps in reproducible builds. see
+// https://reproducible-builds.org/specs/source-date-epoch/
+function getReproducibleTime() {
+	const sourceDateEpoch = process.env.SOURCE_DATE_EPOCH;
+
+	if (sourceDateEpoch == null || sourceDateEpoch === '') {
+		// earliest time that can be stored
+		return new Date(Date.UTC(1980, 0, 1));
+	}
+
+	if (!/^\d+$/.test(sourceDateEpoch)) {
+		throw new Error(`invalid SOURCE_DATE_EPOCH: ${sourceDateEpoch}`);
+	}
+
+	return new Date(Math.max(Number(sourceDateEpoch) * 1000, Date.UTC(1980, 0, 1)));
+}
+
+// permissions are 0755 for directories and executables and 0644 for other files. symlinks get
+// 0777, their permissions are ignored anyway.
+function getReproducibleMode(mode) {
+	const type = mode & S_IFMT;
+
+	if (type === S_IFLNK) {
+		return S_IFLNK | 0o777;
+	}
+
+	return type | (type === S_IFDIR || (mode & 0o111) !== 0 ? 0o755 : 0o644);
+}
+
 function dateToDosDateTime(date) {
 	return {
 		date: (date.getUTCDate() & 0x1f)
@@ -643,6 +2873,60 @@ function dateToDosDateTime(date) {
 	};
 }
 
+// supports `*` and `?` within a path segment, `**` across segments and `[...]` character classes
+function globToRegExp(pattern) {
+	let source = '';
+
+	for (let i = 0; i < pattern.length; i++) {
+		const c = pattern[i];
+
+		if (c === '*') {
+			if (pattern[i + 1] === '*') {
+				i++;
+
+				if (pattern[i + 1] === '/') {
+					// `**/` also matches zero directories
+					i++;
+					source += '(?:.*/)?';
+				} else {
+					source += '.*';
+				}
+			} else {
+				source += '[^/]*';
+			}
+		} else if (c === '?') {
+			source += '[^/]';
+		} else if (c === '[') {
+			const end = pattern.indexOf(']', i + 2);
+
+			if (end === -1) {
+				source += '\\[';
+			} else {
+				const negated = pattern[i + 1] === '!' || pattern[i + 1] === '^';
+				const characters = pattern.slice(negated ? i + 2 : i + 1, end).replace(/[\\\]^]/g, '\\$&');
+
+				source += negated ? `[^/${characters}]` : `[${characters}]`;
+				i = end;
+			}
+		} else {
+			source += c.replace(/[.*+?^${}()|[\]\\/]/g, '\\$&');
+		}
+	}
+
+	return new RegExp(`^${source}$`);
+}
+
+function dosDateTimeToDate(date, time) {
+	return new Date(Date.UTC(
+		(date >> 9) + 1980,
+		((date >> 5) & 0xf) - 1,
+		date & 0x1f,
+		time >> 11,
+		(time >> 5) & 0x3f,
+		(time & 0x1f) * 2
+	));
+}
+
 function writeUInt64LE(buffer, n, offset) {
 	// can't use bitshift here, because JavaScript only allows bitshifting on 32-bit integers.
 	const high = Math.floor(n / 0x100000000);
@@ -651,17 +2935,76 @@ function writeUInt64LE(buffer, n, offset) {
 	buffer.writeUInt32LE(high, offset + 4);
 }
 
+function readUInt64LE(buffer, offset) {
+	return buffer.readUInt32LE(offset + 4) * 0x100000000 + buffer.readUInt32LE(offset);
+}
+
 const cp437 = '\u0000☺☻♥♦♣♠•◘○◙♂♀♪♫☼►◄↕‼¶§▬↨↑↓→←∟↔▲▼ !"#$%&\'()*+,-./0123456789:;<=>?@ABCDEFGHIJKLMNOPQRSTUVWXYZ[\\]^_`abcdefghijklmnopqrstuvwxyz{|}~⌂ÇüéâäàåçêëèïîìÄÅÉæÆôöòûùÿÖÜ¢£¥₧ƒáíóúñÑªº¿⌐¬½¼¡«»░▒▓│┤╡╢╖╕╣║╗╝╜╛┐└┴┬├─┼╞╟╚╔╩╦╠═╬╧╨╤╥╙╘╒╓╫╪┘┌█▄▌▐▀αßΓπΣσµτΦΘΩδ∞φε∩≡±≥≤⌠⌡÷≈°∙·√ⁿ²■ ';
 if (cp437.length !== 256) throw new Error('assertion failure');
 let reverseCp437 = null;
 
-function encodeCp437(string) {
-	if (/^[\x20-\x7e]*$/.test(string)) {
-		// CP437, ASCII, and UTF-8 overlap in this range.
-		return Buffer.from(string, 'utf-8');
+function validateNameEncoding(nameEncoding) {
+	if (nameEncoding !== 'utf8' && nameEncoding !== 'cp437' && nameEncoding !== 'cp437-unicode') {
+		throw new Error(`invalid nameEncoding: ${nameEncoding}`);
 	}
 
-	// This is the slow path.
+	return nameEncoding;
+}
+
+// encodes file names and entry comments. returns `[buffer, unicode]` where unicode is the UTF-8
+// version of text that isn't representable in CP437, for the Unicode extra fields.
+function encodeText(text, nameEncoding, description) {
+	if (validateNameEncoding(nameEncoding) === 'utf8') {
+		return [Buffer.from(text, 'utf-8'), null];
+	}
+
+	if (isCp437(text)) {
+		return [encodeCp437(text), null];
+	}
+
+	if (nameEncoding === 'cp437') {
+		throw new Error(`${description} not encodable in CP437: ${JSON.stringify(text)}`);
+	}
+
+	// readers that don't know about the extra fields get the name with the unencodable characters
+	// replaced
+	return [encodeCp437(text, '_'), Buffer.from(text, 'utf-8')];
+}
+
+// there's no flag for the encoding of the archive comment, nor a Unicode extra field for it, so it
+// must be CP437, whatever the nameEncoding
+function encodeArchiveComment(comment) {
+	if (!isCp437(comment)) {
+		throw new Error(`archive comment not encodable in CP437: ${JSON.stringify(comment)}`);
+	}
+
+	return encodeCp437(comment);
+}
+
+// Info-ZIP Unicode Path and Unicode Comment extra field data. the crc of the field in the header
+// tells readers whether the extra field is still up to date.
+function getUnicodeExtraFieldData(encoded, unicode) {
+	const data = Buffer.allocUnsafe(5);
+	// Version       1 byte       version of this extra field, currently 1
+	data.writeUInt8(1, 0);
+	// NameCRC32     4 bytes      File Name Field CRC32 Checksum
+	data.writeUInt32LE(crc32Unsigned(encoded), 1);
+
+	// UnicodeName   Variable     UTF-8 version of the entry File Name
+	return Buffer.concat([data, unicode]);
+}
+
+function isCp437(string) {
+	const reverse = getReverseCp437();
+
+	for (const c of string) {
+		if (reverse[c] == null) return false;
+	}
+
+	return true;
+}
+
+function getReverseCp437() {
 	if (reverseCp437 == null) {
 		// cache this once
 		reverseCp437 = {};
@@ -670,12 +3013,36 @@ function encodeCp437(string) {
 		}
 	}
 
-	const result = Buffer.allocUnsafe(string.length);
-	for (let i = 0; i < string.length; i++) {
-		const b = reverseCp437[string[i]];
-		if (b == null) throw new Error(`character not encodable in CP437: ${JSON.stringify(string[i])}`);
+	return reverseCp437;
+}
+
+// unencodable characters are replaced with the replacement, if there is one
+function encodeCp437(string, replacement) {
+	if (/^[\x20-\x7e]*$/.test(string)) {
+		// CP437, ASCII, and UTF-8 overlap in this range.
+		return Buffer.from(string, 'utf-8');
+	}
+
+	// This is the slow path.
+	const reverse = getReverseCp437();
+
+	const characters = [...string];
+	const result = Buffer.allocUnsafe(characters.length);
+	for (let i = 0; i < characters.length; i++) {
+		const b = reverse[characters[i]] ?? reverse[replacement];
+		if (b == null) throw new Error(`character not encodable in CP437: ${JSON.stringify(characters[i])}`);
 		result[i] = b;
 	}
 
 	return result;
 }
+
+function decodeCp437(buffer) {
+	let result = '';
+
+	for (let i = 0; i < buffer.length; i++) {
+		result += cp437[buffer[i]];
+	}
+
+	return result;
+}
@@ -0,0 +1,182 @@
+// zip based container formats. a profile has the entries the format requires at the start of the
+// archive, the entries it generates at the end from what was added, if any, and the names of both,
+// which can't be added otherwise. checkEntries() throws if what was added isn't enough for the
+// format.
+
+const OOXML_CONTENT_TYPES = new Map([
+	['rels', 'application/vnd.openxmlformats-package.relationships+xml'],
+	['xml', 'application/xml'],
+	['png', 'image/png'],
+	['jpg', 'image/jpeg'],
+	['jpeg', 'image/jpeg'],
+	['gif', 'image/gif'],
+	['bmp', 'image/bmp'],
+	['tif', 'image/tiff'],
+	['tiff', 'image/tiff'],
+	['svg', 'image/svg+xml'],
+	['emf', 'image/x-emf'],
+	['wmf', 'image/x-wmf']
+]);
+
+const CRLF = Buffer.from('\r\n');
+
+const ODF_MEDIA_TYPES = new Map([
+	['xml', 'text/xml'],
+	['rdf', 'application/rdf+xml'],
+	['png', 'image/png'],
+	['jpg', 'image/jpeg'],
+	['jpeg', 'image/jpeg'],
+	['gif', 'image/gif'],
+	['svg', 'image/svg+xml']
+]);
+
+export default function getProfile(options) {
+	switch (options.profile) {
+	case 'epub':
+		return {
+			name: 'epub',
+			reservedNames: new Set(['mimetype']),
+			firstEntries: [getMimetypeEntry(options.packageMimeType ?? 'application/epub+zip')],
+			checkEntries(entries) {
+				if (!entries.some(entry => getName(entry) === 'META-INF/container.xml')) {
+					throw new Error('epub requires META-INF/container.xml');
+				}
+			},
+			getLastEntries: null
+		};
+	case 'odf':
+		if (options.packageMimeType == null) {
+			throw new Error('odf requires the packageMimeType option, e.g. application/vnd.oasis.opendocument.text');
+		}
+
+		return {
+			name: 'odf',
+			reservedNames: new Set(['mimetype', 'META-INF/manifest.xml']),
+			firstEntries: [getMimetypeEntry(options.packageMimeType)],
+			checkEntries: () => {},
+			getLastEntries: entries => [{
+				metadataPath: 'META-INF/manifest.xml',
+				data: getOdfManifest(options.packageMimeType, entries)
+			}]
+		};
+	case 'jar':
+		// the manifest doesn't depend on the entries, and readers expect it at the start
+		return {
+			name: 'jar',
+			reservedNames: new Set(['META-INF/MANIFEST.MF']),
+			firstEntries: [{
+				metadataPath: 'META-INF/MANIFEST.MF',
+				data: getJarManifest(options.manifest ?? {})
+			}],
+			checkEntries: () => {},
+			getLastEntries: null
+		};
+	case 'ooxml':
+		return {
+			name: 'ooxml',
+			reservedNames: new Set(['[Content_Types].xml']),
+			firstEntries: [],
+			checkEntries: () => {},
+			getLastEntries: entries => [{
+				metadataPath: '[Content_Types].xml',
+				data: getOoxmlContentTypes(entries)
+			}]
+		};
+	default:
+		throw new Error(`invalid profile: ${options.profile}`);
+	}
+}
+
+// the mimetype entry must be the first one, stored and without extra fields, so that the format can
+// be recognized from the bytes at the start of the file
+function getMimetypeEntry(mimetype) {
+	return { metadataPath: 'mimetype', data: Buffer.from(mimetype, 'ascii'), stored: true };
+}
+
+function getOdfManifest(mimetype, entries) {
+	const fileEntries = entries
+		.filter(entry => getName(entry) !== 'mimetype')
+		.map(entry => {
+			const name = getName(entry);
+			const mediaType = entry.mimeType
+				?? (name.endsWith('/') ? '' : ODF_MEDIA_TYPES.get(getExtension(name)) ?? '');
+
+			return ` <manifest:file-entry manifest:full-path="${escapeXml(name)}" manifest:media-type="${escapeXml(mediaType)}"/>\n`;
+		});
+
+	return Buffer.from([
+		'<?xml version="1.0" encoding="UTF-8"?>\n',
+		'<manifest:manifest xmlns:manifest="urn:oasis:names:tc:opendocument:xmlns:manifest:1.0" manifest:version="1.2">\n',
+		` <manifest:file-entry manifest:full-path="/" manifest:version="1.2" manifest:media-type="${escapeXml(mimetype)}"/>\n`,
+		...fileEntries,
+		'</manifest:manifest>\n'
+	].join(''));
+}
+
+// main attributes of the manifest. lines are at most 72 bytes, longer ones continue on the next
+// line after a space.
+function getJarManifest(attributes) {
+	const lines = [];
+
+	for (const [name, value] of Object.entries({
+		'Manifest-Version': '1.0',
+		'Created-By': 'yazl',
+		...attributes
+	})) {
+		let line = Buffer.from(`${name}: ${value}`);
+
+		lines.push(line.subarray(0, 72));
+
+		for (line = line.subarray(72); line.length > 0; line = line.subarray(71)) {
+			lines.push(Buffer.concat([Buffer.from(' '), line.subarray(0, 71)]));
+		}
+	}
+
+	// the main section ends with an empty line
+	return Buffer.concat([...lines.flatMap(line => [line, CRLF]), CRLF]);
+}
+
+// parts get the content type of their extension, unless they have one of their own
+function getOoxmlContentTypes(entries) {
+	const defaults = new Map();
+	const overrides = [];
+
+	for (const entry of entries) {
+		const name = getName(entry);
+
+		if (name.endsWith('/')) continue;
+
+		const extension = getExtension(name);
+
+		if (entry.mimeType != null) {
+			overrides.push(`<Override PartName="/${escapeXml(name)}" ContentType="${escapeXml(entry.mimeType)}"/>`);
+		} else if (OOXML_CONTENT_TYPES.has(extension)) {
+			defaults.set(extension, OOXML_CONTENT_TYPES.get(extension));
+		} else {
+			throw new Error(`unknown content type of part: ${name}`);
+		}
+	}
+
+	defaults.set('rels', OOXML_CONTENT_TYPES.get('rels'));
+	defaults.set('xml', OOXML_CONTENT_TYPES.get('xml'));
+
+	return Buffer.from([
+		'<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n',
+		'<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">',
+		...[...defaults].map(([extension, contentType]) => `<Default Extension="${escapeXml(extension)}" ContentType="${escapeXml(contentType)}"/>`),
+		...overrides,
+		'</Types>'
+	].join(''));
+}
+
+function getName(entry) {
+	return entry.utf8FileName.toString('utf-8');
+}
+
+function getExtension(name) {
+	return /\.([^./]*)$/.exec(name)?.[1].toLowerCase() ?? '';
+}
+
+function escapeXml(string) {
+	return string.replace(/[&<>"']/g, c => `&#${c.charCodeAt(0)};`);
+}
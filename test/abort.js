@@ -0,0 +1,41 @@
+import assert from 'assert';
+import crypto from 'crypto';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import test from 'node:test';
+import ZipFile from '../index.js';
+
+test('aborting a directory partway gives up the read-ahead slots of its entries', async () => {
+	const directory = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'yazl-'));
+
+	for (let i = 0; i < 6; i++) {
+		await fs.promises.writeFile(path.join(directory, `${i}.bin`), crypto.randomBytes(300000));
+	}
+
+	try {
+		const zipfile = new ZipFile({ concurrency: 2 });
+		const controller = new AbortController();
+		let entriesWritten = 0;
+
+		zipfile.resume();
+		zipfile.on('entryEnd', () => {
+			entriesWritten++;
+
+			if (entriesWritten === 2) {
+				controller.abort(new Error('aborted'));
+			}
+		});
+
+		await assert.rejects(
+			zipfile.addDirectory(directory, '', { signal: controller.signal }),
+			/aborted/
+		);
+		await zipfile.addFile(path.join(directory, '0.bin'), 'after.bin');
+		await zipfile.end();
+
+		assert.strictEqual(zipfile.readAheadSlots, 2);
+	} finally {
+		await fs.promises.rm(directory, { recursive: true });
+	}
+});
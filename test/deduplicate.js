@@ -0,0 +1,52 @@
+import assert from 'assert';
+import crypto from 'crypto';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import test from 'node:test';
+import ZipFile from '../index.js';
+import { getEntryData, readZip, toBuffer } from './helpers/zip.js';
+
+test('identical files are stored once when writing to a stream', async () => {
+	const directory = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'yazl-'));
+	const data = crypto.randomBytes(100000);
+
+	await fs.promises.mkdir(path.join(directory, 'vendor'));
+	await fs.promises.writeFile(path.join(directory, 'LICENSE'), data);
+	await fs.promises.writeFile(path.join(directory, 'vendor', 'LICENSE'), data);
+	await fs.promises.writeFile(path.join(directory, 'vendor', 'other'), crypto.randomBytes(100000));
+
+	try {
+		const zipfile = new ZipFile({ deduplicate: true });
+
+		const buffer = await toBuffer(zipfile, async () => {
+			await zipfile.addFile(path.join(directory, 'LICENSE'), 'copy/LICENSE', { mode: 0o100600 });
+			await zipfile.addDirectory(directory);
+
+			return zipfile.end();
+		});
+
+		const entries = new Map(readZip(buffer).map(entry => [entry.name, entry]));
+		const original = entries.get('copy/LICENSE');
+
+		assert(buffer.length < 2.5 * data.length);
+		assert.deepStrictEqual(getEntryData(original), data);
+
+		for (const name of ['LICENSE', 'vendor/LICENSE']) {
+			assert.strictEqual(
+				entries.get(name).relativeOffsetOfLocalHeader,
+				original.relativeOffsetOfLocalHeader
+			);
+			assert.strictEqual(entries.get(name).crc32, original.crc32);
+		}
+
+		assert.strictEqual(original.externalFileAttributes / 0x10000, 0o100600);
+		assert.notStrictEqual(entries.get('LICENSE').externalFileAttributes / 0x10000, 0o100600);
+		assert.notStrictEqual(
+			entries.get('vendor/other').relativeOffsetOfLocalHeader,
+			original.relativeOffsetOfLocalHeader
+		);
+	} finally {
+		await fs.promises.rm(directory, { recursive: true });
+	}
+});
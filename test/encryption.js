@@ -0,0 +1,146 @@
+/* eslint-disable no-bitwise */
+import assert from 'assert';
+import crypto from 'crypto';
+import test from 'node:test';
+import zlib from 'zlib';
+import ZipFile from '../index.js';
+import { readZip, toBuffer } from './helpers/zip.js';
+
+const data = Buffer.from('The quick brown fox jumps over the lazy dog. '.repeat(100));
+
+// WinZip AES. the key stream is AES-256 of a little-endian counter starting from 1, and the
+// authentication code is the start of HMAC-SHA1 of the encrypted data.
+function decryptAes(stored, password) {
+	const salt = stored.subarray(0, 16);
+	const passwordVerifier = stored.subarray(16, 18);
+	const encrypted = stored.subarray(18, stored.length - 10);
+	const authenticationCode = stored.subarray(stored.length - 10);
+	const key = crypto.pbkdf2Sync(password, salt, 1000, 66, 'sha1');
+
+	assert.deepStrictEqual(passwordVerifier, key.subarray(64));
+	assert.deepStrictEqual(
+		authenticationCode,
+		crypto.createHmac('sha1', key.subarray(32, 64)).update(encrypted).digest().subarray(0, 10)
+	);
+
+	const cipher = crypto.createCipheriv('aes-256-ecb', key.subarray(0, 32), null);
+	const decrypted = Buffer.alloc(encrypted.length);
+
+	for (let i = 0; i < encrypted.length; i += 16) {
+		const counter = Buffer.alloc(16);
+
+		counter.writeUInt32LE(i / 16 + 1, 0);
+
+		const keyStream = cipher.update(counter);
+
+		for (let j = 0; j < 16 && i + j < encrypted.length; j++) {
+			decrypted[i + j] = encrypted[i + j] ^ keyStream[j];
+		}
+	}
+
+	return decrypted;
+}
+
+const crcTable = Array.from({ length: 256 }, (_, i) => {
+	let c = i;
+
+	for (let j = 0; j < 8; j++) {
+		c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+	}
+
+	return c >>> 0;
+});
+
+function crc32Update(crc, byte) {
+	return (crcTable[(crc ^ byte) & 0xff] ^ (crc >>> 8)) >>> 0;
+}
+
+function crc32(buffer) {
+	return ~buffer.reduce(crc32Update, 0xffffffff) >>> 0;
+}
+
+// traditional PKWARE encryption. returns the 12 byte header and the decrypted data.
+function decryptZipCrypto(stored, password) {
+	const keys = [0x12345678, 0x23456789, 0x34567890];
+	const updateKeys = byte => {
+		keys[0] = crc32Update(keys[0], byte);
+		keys[1] = (Math.imul(keys[1] + (keys[0] & 0xff), 134775813) + 1) >>> 0;
+		keys[2] = crc32Update(keys[2], keys[1] >>> 24);
+	};
+
+	for (const byte of Buffer.from(password)) {
+		updateKeys(byte);
+	}
+
+	const decrypted = Buffer.alloc(stored.length);
+
+	for (let i = 0; i < stored.length; i++) {
+		const temp = (keys[2] | 2) & 0xffff;
+
+		decrypted[i] = stored[i] ^ (((temp * (temp ^ 1)) >>> 8) & 0xff);
+		updateKeys(decrypted[i]);
+	}
+
+	return [decrypted.subarray(0, 12), decrypted.subarray(12)];
+}
+
+for (const aesVersion of [1, 2]) {
+	test(`AE-${aesVersion} entries decrypt with the password`, async () => {
+		const zipfile = new ZipFile();
+
+		const buffer = await toBuffer(zipfile, async () => {
+			await zipfile.addBuffer(data, 'secret.txt', { password: 'hunter2', aesVersion });
+
+			return zipfile.end();
+		});
+
+		const [entry] = readZip(buffer);
+		const aesExtraField = entry.extraFields.get(0x9901);
+
+		assert.strictEqual(entry.generalPurposeBitFlag & 1, 1);
+		assert.strictEqual(entry.compressionMethod, 99);
+		assert.strictEqual(aesExtraField.readUInt16LE(0), aesVersion);
+		assert.strictEqual(aesExtraField.toString('ascii', 2, 4), 'AE');
+		assert.strictEqual(aesExtraField.readUInt8(4), 3);
+		assert.strictEqual(aesExtraField.readUInt16LE(5), 8);
+		// AE-2 doesn't store the crc
+		assert.strictEqual(entry.crc32, aesVersion === 2 ? 0 : crc32(data));
+
+		const decrypted = zlib.inflateRawSync(decryptAes(entry.localFileHeader.data, 'hunter2'));
+
+		assert.deepStrictEqual(decrypted, data);
+	});
+}
+
+for (const streamed of [false, true]) {
+	test(`traditional encryption decrypts with the password${streamed ? ' when streamed' : ''}`, async () => {
+		const zipfile = new ZipFile();
+		const options = { password: 'hunter2', encryption: 'zipcrypto', compress: false };
+
+		const buffer = await toBuffer(zipfile, async () => {
+			if (streamed) {
+				await zipfile.addReadStream([data], 'secret.txt', options);
+			} else {
+				await zipfile.addBuffer(data, 'secret.txt', options);
+			}
+
+			return zipfile.end();
+		});
+
+		const [entry] = readZip(buffer);
+		const [header, decrypted] = decryptZipCrypto(entry.localFileHeader.data, 'hunter2');
+
+		assert.strictEqual(entry.generalPurposeBitFlag & 1, 1);
+		assert.strictEqual(entry.compressedSize, data.length + 12);
+		assert.deepStrictEqual(decrypted, data);
+
+		// the check byte is the high byte of the crc, or of the time if the crc comes after the data
+		if (entry.generalPurposeBitFlag & 8) {
+			const lastModFileTime = buffer.readUInt16LE(entry.relativeOffsetOfLocalHeader + 10);
+
+			assert.strictEqual(header[11], lastModFileTime >>> 8);
+		} else {
+			assert.strictEqual(header[11], entry.crc32 >>> 24);
+		}
+	});
+}
@@ -0,0 +1,22 @@
+import assert from 'assert';
+import test from 'node:test';
+import ZipFile from '../index.js';
+
+test('entries that fail to be prepared are left out of the size prediction', async () => {
+	const zipfile = new ZipFile({ continueOnError: true });
+	const chunks = [];
+
+	zipfile.on('data', chunk => chunks.push(chunk));
+
+	zipfile.addBuffer(Buffer.from('one'), 'a.txt', { compress: false });
+	zipfile.addFile('/nonexistent/b.txt', 'b.txt');
+	zipfile.addBuffer(Buffer.from('three'), 'c.txt', { compress: false });
+
+	const prediction = await zipfile.calculateTotalSize();
+
+	await Promise.all([zipfile.end(), new Promise(resolve => { zipfile.on('end', resolve); })]);
+
+	assert.strictEqual(prediction, Buffer.concat(chunks).length);
+	assert.deepStrictEqual(zipfile.failedEntries.map(({ entry }) => entry), [null]);
+	assert.strictEqual(zipfile.failedEntries[0].error.code, 'ENOENT');
+});
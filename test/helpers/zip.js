@@ -0,0 +1,133 @@
+// reads archives back, independently of yazl itself, so that the tests can check what was written
+
+import zlib from 'zlib';
+
+const LOCAL_FILE_HEADER_SIGNATURE = 0x04034b50;
+const CENTRAL_DIRECTORY_SIGNATURE = 0x02014b50;
+const END_OF_CENTRAL_DIRECTORY_SIGNATURE = Buffer.from([0x50, 0x4b, 0x05, 0x06]);
+
+// collects the output of the zip file, while end() adds the entries and ends it
+export async function toBuffer(zipfile, end) {
+	const chunks = [];
+
+	zipfile.on('data', chunk => chunks.push(chunk));
+
+	await Promise.all([end(), new Promise(resolve => { zipfile.on('end', resolve); })]);
+
+	return Buffer.concat(chunks);
+}
+
+// extra fields as a map from header ID to data
+export function readExtraFields(buffer) {
+	const extraFields = new Map();
+
+	for (let offset = 0; offset + 4 <= buffer.length;) {
+		const size = buffer.readUInt16LE(offset + 2);
+
+		extraFields.set(buffer.readUInt16LE(offset), buffer.subarray(offset + 4, offset + 4 + size));
+		offset += 4 + size;
+	}
+
+	return extraFields;
+}
+
+// the entries listed in the central directory, with their local file headers and data. a split
+// archive is read from its volumes concatenated, with the offsets at which each of them starts
+export function readZip(buffer, volumeStarts = [0]) {
+	const endOfCentralDirectory = buffer.lastIndexOf(END_OF_CENTRAL_DIRECTORY_SIGNATURE);
+
+	if (endOfCentralDirectory === -1) {
+		throw new Error('end of central directory record not found');
+	}
+
+	const entriesCount = buffer.readUInt16LE(endOfCentralDirectory + 10);
+	let offset = volumeStarts[buffer.readUInt16LE(endOfCentralDirectory + 6)]
+		+ buffer.readUInt32LE(endOfCentralDirectory + 16);
+	const entries = [];
+
+	for (let i = 0; i < entriesCount; i++) {
+		if (buffer.readUInt32LE(offset) !== CENTRAL_DIRECTORY_SIGNATURE) {
+			throw new Error(`central directory record not found at ${offset}`);
+		}
+
+		const fileNameLength = buffer.readUInt16LE(offset + 28);
+		const extraFieldLength = buffer.readUInt16LE(offset + 30);
+		const fileCommentLength = buffer.readUInt16LE(offset + 32);
+		const extraFields = readExtraFields(buffer.subarray(
+			offset + 46 + fileNameLength,
+			offset + 46 + fileNameLength + extraFieldLength
+		));
+		const entry = {
+			name: buffer.toString('utf-8', offset + 46, offset + 46 + fileNameLength),
+			versionNeededToExtract: buffer.readUInt16LE(offset + 6),
+			generalPurposeBitFlag: buffer.readUInt16LE(offset + 8),
+			compressionMethod: buffer.readUInt16LE(offset + 10),
+			crc32: buffer.readUInt32LE(offset + 16),
+			compressedSize: buffer.readUInt32LE(offset + 20),
+			uncompressedSize: buffer.readUInt32LE(offset + 24),
+			diskNumberStart: buffer.readUInt16LE(offset + 34),
+			externalFileAttributes: buffer.readUInt32LE(offset + 38),
+			relativeOffsetOfLocalHeader: buffer.readUInt32LE(offset + 42),
+			extraFields
+		};
+
+		// the ZIP64 extended information extra field only has the values that don't fit
+		const zip64 = extraFields.get(0x0001);
+		let zip64Offset = 0;
+
+		for (const key of ['uncompressedSize', 'compressedSize', 'relativeOffsetOfLocalHeader']) {
+			if (entry[key] === 0xffffffff) {
+				entry[key] = Number(zip64.readBigUInt64LE(zip64Offset));
+				zip64Offset += 8;
+			}
+		}
+
+		entry.localFileHeader = readLocalFileHeader(
+			buffer,
+			volumeStarts[entry.diskNumberStart] + entry.relativeOffsetOfLocalHeader,
+			entry.compressedSize
+		);
+		entries.push(entry);
+		offset += 46 + fileNameLength + extraFieldLength + fileCommentLength;
+	}
+
+	return entries;
+}
+
+function readLocalFileHeader(buffer, offset, compressedSize) {
+	if (buffer.readUInt32LE(offset) !== LOCAL_FILE_HEADER_SIGNATURE) {
+		throw new Error(`local file header not found at ${offset}`);
+	}
+
+	const fileNameLength = buffer.readUInt16LE(offset + 26);
+	const extraFieldLength = buffer.readUInt16LE(offset + 28);
+	const dataOffset = offset + 30 + fileNameLength + extraFieldLength;
+
+	return {
+		versionNeededToExtract: buffer.readUInt16LE(offset + 4),
+		generalPurposeBitFlag: buffer.readUInt16LE(offset + 6),
+		crc32: buffer.readUInt32LE(offset + 14),
+		compressedSize: buffer.readUInt32LE(offset + 18),
+		uncompressedSize: buffer.readUInt32LE(offset + 22),
+		extraFields: readExtraFields(buffer.subarray(offset + 30 + fileNameLength, dataOffset)),
+		dataOffset,
+		// the data as it's stored, i.e. compressed and encrypted
+		data: buffer.subarray(dataOffset, dataOffset + compressedSize),
+		dataDescriptor: buffer.subarray(dataOffset + compressedSize, dataOffset + compressedSize + 24)
+	};
+}
+
+// the uncompressed data of an entry that isn't encrypted
+export function getEntryData(entry) {
+	const { data } = entry.localFileHeader;
+
+	if (entry.compressionMethod === 0) {
+		return data;
+	}
+
+	if (entry.compressionMethod === 8) {
+		return zlib.inflateRawSync(data);
+	}
+
+	throw new Error(`unsupported compression method: ${entry.compressionMethod}`);
+}
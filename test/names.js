@@ -0,0 +1,145 @@
+import assert from 'assert';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import test from 'node:test';
+import ZipFile from '../index.js';
+
+// names in the central directory, in order
+function getCentralDirectoryNames(buffer) {
+	const endOfCentralDirectory = buffer.lastIndexOf(Buffer.from([0x50, 0x4b, 0x05, 0x06]));
+	const entriesCount = buffer.readUInt16LE(endOfCentralDirectory + 10);
+	let offset = buffer.readUInt32LE(endOfCentralDirectory + 16);
+	const names = [];
+
+	for (let i = 0; i < entriesCount; i++) {
+		const fileNameLength = buffer.readUInt16LE(offset + 28);
+		const extraFieldLength = buffer.readUInt16LE(offset + 30);
+		const fileCommentLength = buffer.readUInt16LE(offset + 32);
+
+		names.push(buffer.toString('utf-8', offset + 46, offset + 46 + fileNameLength));
+		offset += 46 + fileNameLength + extraFieldLength + fileCommentLength;
+	}
+
+	return names;
+}
+
+async function toBuffer(zipfile, end) {
+	const chunks = [];
+
+	zipfile.on('data', chunk => chunks.push(chunk));
+
+	await Promise.all([end(), new Promise(resolve => { zipfile.on('end', resolve); })]);
+
+	return Buffer.concat(chunks);
+}
+
+test('renamed entries keep their names when compress is auto', async () => {
+	const directory = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'yazl-'));
+	const file = path.join(directory, 'a.txt');
+
+	await fs.promises.writeFile(file, 'hello\n');
+
+	try {
+		const zipfile = new ZipFile({ onDuplicate: 'rename', compress: 'auto' });
+
+		const buffer = await toBuffer(zipfile, async () => {
+			await Promise.all([
+				zipfile.addFile(file, 'a.txt'),
+				zipfile.addFile(file, 'a.txt'),
+				zipfile.addReadStream(fs.createReadStream(file), 'a.txt')
+			]);
+
+			return zipfile.end();
+		});
+
+		assert.deepStrictEqual(getCentralDirectoryNames(buffer), ['a.txt', 'a (1).txt', 'a (2).txt']);
+		assert.deepStrictEqual([...zipfile.entriesByName.keys()], ['a.txt', 'a (1).txt', 'a (2).txt']);
+	} finally {
+		await fs.promises.rm(directory, { recursive: true });
+	}
+});
+
+test('replaced entries are left out of the size prediction once', async () => {
+	const zipfile = new ZipFile({ onDuplicate: 'replace' });
+	let prediction;
+
+	const buffer = await toBuffer(zipfile, async () => {
+		await zipfile.addBuffer(Buffer.from('one'), 'a.txt', { compress: false });
+		zipfile.addBuffer(Buffer.from('two'), 'a.txt', { compress: false });
+
+		prediction = await zipfile.calculateTotalSize();
+
+		return zipfile.end();
+	});
+
+	assert.strictEqual(prediction, buffer.length);
+	assert.deepStrictEqual(getCentralDirectoryNames(buffer), ['a.txt']);
+});
+
+test('a duplicate name only rejects its entry', async () => {
+	const zipfile = new ZipFile();
+	let error = null;
+
+	zipfile.on('error', e => { error = e; });
+
+	const buffer = await toBuffer(zipfile, async () => {
+		await zipfile.addBuffer(Buffer.from('one'), 'a.txt');
+		await assert.rejects(zipfile.addBuffer(Buffer.from('two'), 'A.txt'), /duplicate entry name/);
+		await zipfile.addBuffer(Buffer.from('three'), 'b.txt');
+
+		return zipfile.end();
+	});
+
+	assert.strictEqual(error, null);
+	assert.deepStrictEqual(getCentralDirectoryNames(buffer), ['a.txt', 'b.txt']);
+});
+
+test('names in a directory are checked like added names', async () => {
+	const directory = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'yazl-'));
+
+	await fs.promises.writeFile(path.join(directory, 'aux.js'), '');
+
+	try {
+		const zipfile = new ZipFile();
+		let error = null;
+
+		zipfile.on('error', e => { error = e; });
+
+		const buffer = await toBuffer(zipfile, async () => {
+			await assert.rejects(zipfile.addDirectory(directory, 'x'), /reserved name in path: x\/aux\.js/);
+			await zipfile.addBuffer(Buffer.from('one'), 'a.txt');
+
+			return zipfile.end();
+		});
+
+		assert.strictEqual(error, null);
+		assert.deepStrictEqual(getCentralDirectoryNames(buffer), ['a.txt']);
+	} finally {
+		await fs.promises.rm(directory, { recursive: true });
+	}
+});
+
+test('the parents of the prefix of a directory are added once', async () => {
+	const directory = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'yazl-'));
+
+	await fs.promises.writeFile(path.join(directory, 'f.txt'), '');
+
+	try {
+		const zipfile = new ZipFile();
+
+		const buffer = await toBuffer(zipfile, async () => {
+			await zipfile.addDirectory(directory, 'a/b');
+			await zipfile.addDirectory(directory, 'a/c');
+
+			return zipfile.end();
+		});
+
+		assert.deepStrictEqual(
+			getCentralDirectoryNames(buffer),
+			['a/', 'a/b/', 'a/b/f.txt', 'a/c/', 'a/c/f.txt']
+		);
+	} finally {
+		await fs.promises.rm(directory, { recursive: true });
+	}
+});
@@ -0,0 +1,115 @@
+import assert from 'assert';
+import crypto from 'crypto';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { Readable } from 'stream';
+import test from 'node:test';
+import ZipFile from '../index.js';
+import { getEntryData, readZip } from './helpers/zip.js';
+
+const files = [
+	['a.bin', crypto.randomBytes(100000)],
+	['b.txt', Buffer.from('compressible '.repeat(10000))]
+];
+
+async function withDirectory(callback) {
+	const directory = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'yazl-'));
+
+	try {
+		await callback(directory);
+	} finally {
+		await fs.promises.rm(directory, { recursive: true });
+	}
+}
+
+// the local file headers have the crc and sizes, and the entries follow each other without data
+// descriptors or anything left over in between
+function assertPatched(buffer, expectedFiles) {
+	const entries = readZip(buffer);
+	let offset = 0;
+
+	assert.deepStrictEqual(entries.map(({ name }) => name), expectedFiles.map(([name]) => name));
+
+	for (const [i, entry] of entries.entries()) {
+		const { localFileHeader } = entry;
+
+		assert.strictEqual(entry.relativeOffsetOfLocalHeader, offset);
+		assert.strictEqual(localFileHeader.generalPurposeBitFlag, entry.generalPurposeBitFlag);
+		assert.strictEqual(entry.generalPurposeBitFlag, 0x800);
+		assert.strictEqual(localFileHeader.crc32, entry.crc32);
+
+		// streams of unknown size have the ZIP64 extra field, in case they turn out to be large
+		const zip64 = localFileHeader.extraFields.get(0x0001);
+
+		if (zip64) {
+			assert.strictEqual(zip64.readBigUInt64LE(0), BigInt(entry.uncompressedSize));
+			assert.strictEqual(zip64.readBigUInt64LE(8), BigInt(entry.compressedSize));
+		} else {
+			assert.strictEqual(localFileHeader.compressedSize, entry.compressedSize);
+			assert.strictEqual(localFileHeader.uncompressedSize, entry.uncompressedSize);
+		}
+
+		assert.deepStrictEqual(getEntryData(entry), expectedFiles[i][1]);
+
+		offset = localFileHeader.dataOffset + entry.compressedSize;
+	}
+
+	// offset of start of central directory
+	assert.strictEqual(buffer.readUInt32LE(buffer.length - 22 + 16), offset);
+}
+
+test('local file headers are patched when writing to a file', () => withDirectory(async directory => {
+	const output = path.join(directory, 'archive.zip');
+	const zipfile = new ZipFile({ output });
+
+	// neither crc nor sizes are known before the data is written
+	zipfile.addReadStream(Readable.from([files[0][1]]), files[0][0]);
+	zipfile.addBuffer(files[1][1], files[1][0]);
+
+	await zipfile.end();
+
+	assertPatched(await fs.promises.readFile(output), files);
+}));
+
+test('file handles are written to and left open', () => withDirectory(async directory => {
+	const output = path.join(directory, 'archive.zip');
+	const handle = await fs.promises.open(output, 'w+');
+
+	try {
+		const zipfile = new ZipFile({ output: handle });
+
+		for (const [name, data] of files) {
+			zipfile.addReadStream(Readable.from([data]), name);
+		}
+
+		await zipfile.end();
+
+		const { size } = await handle.stat();
+		const buffer = Buffer.alloc(size);
+
+		await handle.read(buffer, 0, size, 0);
+
+		assertPatched(buffer, files);
+	} finally {
+		await handle.close();
+	}
+}));
+
+test('data of entries that fail is discarded from the file', () => withDirectory(async directory => {
+	const output = path.join(directory, 'archive.zip');
+	const zipfile = new ZipFile({ output, continueOnError: true });
+
+	zipfile.addBuffer(files[0][1], files[0][0]);
+	zipfile.addReadStream(Readable.from((async function* generate() {
+		yield crypto.randomBytes(50000);
+
+		throw new Error('read failed');
+	})()), 'failed.bin');
+	zipfile.addBuffer(files[1][1], files[1][0]);
+
+	await zipfile.end();
+
+	assert.deepStrictEqual(zipfile.failedEntries.map(({ error }) => error.message), ['read failed']);
+	assertPatched(await fs.promises.readFile(output), files);
+}));
@@ -0,0 +1,98 @@
+import assert from 'assert';
+import crypto from 'crypto';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import test from 'node:test';
+import ZipFile from '../index.js';
+import { getEntryData, readZip } from './helpers/zip.js';
+
+const VOLUME_SIZE = 64 * 1024;
+
+async function withDirectory(callback) {
+	const directory = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'yazl-'));
+
+	try {
+		await callback(directory);
+	} finally {
+		await fs.promises.rm(directory, { recursive: true });
+	}
+}
+
+test('archives larger than volumeSize are split into volumes', () => withDirectory(async directory => {
+	const output = path.join(directory, 'archive.zip');
+	const files = Array.from({ length: 5 }, (_, i) => [`${i}.bin`, crypto.randomBytes(50000)]);
+	const zipfile = new ZipFile({ output, volumeSize: VOLUME_SIZE });
+
+	for (const [name, data] of files) {
+		zipfile.addBuffer(data, name);
+	}
+
+	await zipfile.end();
+
+	const volumePaths = ['archive.z01', 'archive.z02', 'archive.z03', 'archive.zip'];
+
+	assert.deepStrictEqual((await fs.promises.readdir(directory)).sort(), volumePaths);
+
+	const volumes = await Promise.all(volumePaths.map(name => (
+		fs.promises.readFile(path.join(directory, name))
+	)));
+
+	for (const volume of volumes.slice(0, -1)) {
+		assert.strictEqual(volume.length, VOLUME_SIZE);
+	}
+
+	assert(volumes.at(-1).length <= VOLUME_SIZE);
+	assert.deepStrictEqual(volumes[0].subarray(0, 4), Buffer.from([0x50, 0x4b, 0x07, 0x08]));
+
+	// the end of central directory record is on the last volume and counts all of them
+	const lastVolume = volumes.at(-1);
+	const endOfCentralDirectory = lastVolume.length - 22;
+
+	assert.strictEqual(lastVolume.readUInt32LE(endOfCentralDirectory), 0x06054b50);
+	assert.strictEqual(lastVolume.readUInt16LE(endOfCentralDirectory + 4), volumes.length - 1);
+	assert.strictEqual(lastVolume.readUInt16LE(endOfCentralDirectory + 10), files.length);
+
+	const volumeStarts = volumes.map((_, i) => (
+		volumes.slice(0, i).reduce((sum, volume) => sum + volume.length, 0)
+	));
+	const entries = readZip(Buffer.concat(volumes), volumeStarts);
+
+	assert.deepStrictEqual(entries.map(({ name }) => name), files.map(([name]) => name));
+	assert(entries.some(({ diskNumberStart }) => diskNumberStart > 0));
+
+	for (const [i, entry] of entries.entries()) {
+		// local file headers are patched, even when they're on an earlier volume than the data ends
+		assert.strictEqual(entry.localFileHeader.crc32, entry.crc32);
+		assert.strictEqual(entry.localFileHeader.compressedSize, entry.compressedSize);
+		assert.deepStrictEqual(getEntryData(entry), files[i][1]);
+	}
+}));
+
+test('archives that fit in one volume are marked as not split', () => withDirectory(async directory => {
+	const output = path.join(directory, 'archive.zip');
+	const data = crypto.randomBytes(1000);
+	const zipfile = new ZipFile({ output, volumeSize: VOLUME_SIZE });
+
+	zipfile.addBuffer(data, 'a.bin');
+
+	await zipfile.end();
+
+	assert.deepStrictEqual(await fs.promises.readdir(directory), ['archive.zip']);
+
+	const buffer = await fs.promises.readFile(output);
+
+	assert.deepStrictEqual(buffer.subarray(0, 4), Buffer.from('PK00'));
+	assert.strictEqual(buffer.readUInt16LE(buffer.length - 22 + 4), 0);
+
+	// the marker counts towards the offsets, like the spanning signature
+	const [entry] = readZip(buffer);
+
+	assert.strictEqual(entry.relativeOffsetOfLocalHeader, 4);
+	assert.deepStrictEqual(getEntryData(entry), data);
+}));
+
+test('volumeSize is at least 64 KiB and needs an output path', () => {
+	assert.throws(() => new ZipFile({ output: 'archive.zip', volumeSize: 1000 }), /invalid volumeSize/);
+	assert.throws(() => new ZipFile({ volumeSize: VOLUME_SIZE }), /requires an output path/);
+});
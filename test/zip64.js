@@ -0,0 +1,82 @@
+import assert from 'assert';
+import crypto from 'crypto';
+import test from 'node:test';
+import ZipFile from '../index.js';
+import { getEntryData, readZip, toBuffer } from './helpers/zip.js';
+
+const data = crypto.randomBytes(10000);
+
+test('forceZip64Format puts the sizes in the ZIP64 extra field of the local file header', async () => {
+	const zipfile = new ZipFile();
+
+	const buffer = await toBuffer(zipfile, async () => {
+		await zipfile.addBuffer(data, 'a.bin', { compress: false, forceZip64Format: true });
+
+		return zipfile.end();
+	});
+
+	const [entry] = readZip(buffer);
+	const { localFileHeader } = entry;
+	const zip64 = localFileHeader.extraFields.get(0x0001);
+
+	assert.strictEqual(localFileHeader.versionNeededToExtract, 45);
+	assert.strictEqual(localFileHeader.compressedSize, 0xffffffff);
+	assert.strictEqual(localFileHeader.uncompressedSize, 0xffffffff);
+	assert.strictEqual(zip64.length, 16);
+	assert.strictEqual(zip64.readBigUInt64LE(0), BigInt(data.length));
+	assert.strictEqual(zip64.readBigUInt64LE(8), BigInt(data.length));
+	assert(entry.extraFields.has(0x0001));
+	assert.strictEqual(entry.uncompressedSize, data.length);
+	assert.deepStrictEqual(getEntryData(entry), data);
+});
+
+test('streams of unknown size have 8 byte sizes in the data descriptor', async () => {
+	const zipfile = new ZipFile();
+
+	const buffer = await toBuffer(zipfile, async () => {
+		await zipfile.addReadStream([data], 'a.bin');
+
+		return zipfile.end();
+	});
+
+	const [entry] = readZip(buffer);
+	const { localFileHeader } = entry;
+	const { dataDescriptor } = localFileHeader;
+
+	// the sizes are only known after the data, so the extra field has zeros, like Info-ZIP writes
+	assert.strictEqual(localFileHeader.versionNeededToExtract, 45);
+	assert.strictEqual(localFileHeader.generalPurposeBitFlag, entry.generalPurposeBitFlag);
+	assert.deepStrictEqual(localFileHeader.extraFields.get(0x0001), Buffer.alloc(16));
+
+	assert.strictEqual(dataDescriptor.readUInt32LE(0), 0x08074b50);
+	assert.strictEqual(dataDescriptor.readUInt32LE(4), entry.crc32);
+	assert.strictEqual(dataDescriptor.readBigUInt64LE(8), BigInt(entry.compressedSize));
+	assert.strictEqual(dataDescriptor.readBigUInt64LE(16), BigInt(data.length));
+	assert.strictEqual(
+		buffer.readUInt32LE(localFileHeader.dataOffset + entry.compressedSize + 24),
+		0x02014b50
+	);
+	assert.deepStrictEqual(getEntryData(entry), data);
+});
+
+test('streams of known small size keep 4 byte sizes', async () => {
+	const zipfile = new ZipFile();
+
+	const buffer = await toBuffer(zipfile, async () => {
+		await zipfile.addReadStream([data], 'a.bin', { size: data.length });
+
+		return zipfile.end();
+	});
+
+	const [entry] = readZip(buffer);
+	const { localFileHeader } = entry;
+	const { dataDescriptor } = localFileHeader;
+
+	assert.strictEqual(localFileHeader.versionNeededToExtract, 20);
+	assert(!localFileHeader.extraFields.has(0x0001));
+	assert.strictEqual(dataDescriptor.readUInt32LE(0), 0x08074b50);
+	assert.strictEqual(dataDescriptor.readUInt32LE(8), entry.compressedSize);
+	assert.strictEqual(dataDescriptor.readUInt32LE(12), data.length);
+	assert.strictEqual(dataDescriptor.readUInt32LE(16), 0x02014b50);
+	assert.deepStrictEqual(getEntryData(entry), data);
+});